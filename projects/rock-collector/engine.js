@@ -0,0 +1,1627 @@
+/*
+================================================================================
+GAME ENGINE (engine.js)
+Headless rules: owns the game state, never touches the DOM.
+Loaded before script.js in the browser, and require()-able from Node.
+================================================================================
+*/
+
+// --- 1. CONSTANTS ---
+
+/**
+ * CONSTANTS
+ * Centralized strings to prevent typos and allow easy changes.
+ */
+const CONSTANTS = {
+    RARITY: {
+        COMMON: "common",
+        UNCOMMON: "uncommon",
+        RARE: "rare",
+        MYTHIC: "mythic",
+        LEGENDARY: "legendary",
+        SPECIAL: "special"
+    },
+    PACKS: {
+        BASIC: "basic",
+        EXPLORER: "explorer",
+        ADVANCED: "advanced",
+        DELUXE: "deluxe",
+        COLLECTOR: "collector",
+        EVENT: "event",
+        RIVERBED: "riverbed",
+        DESERT: "desert"
+    },
+    REGIONS: {
+        RIVERBED: "riverbed",
+        GRASSLAND: "grassland",
+        FOREST: "forest",
+        DESERT: "desert",
+        COAST: "coast",
+        MOUNTAIN: "mountain",
+        CAVE: "cave",
+        VOLCANIC: "volcanic",
+        URBAN: "urban",
+        GLACIAL: "glacial",
+        ABYSS: "abyss",
+        ETHEREAL: "ethereal",
+        COSMIC: "cosmic"
+    }
+};
+
+// Ordered from RAREST to MOST COMMON for logic checks
+const RARITY_ORDER = [
+    CONSTANTS.RARITY.SPECIAL,
+    CONSTANTS.RARITY.LEGENDARY,
+    CONSTANTS.RARITY.MYTHIC,
+    CONSTANTS.RARITY.RARE,
+    CONSTANTS.RARITY.UNCOMMON,
+    CONSTANTS.RARITY.COMMON
+];
+
+// Conversion point values
+const CONVERSION_POINTS = {
+    [CONSTANTS.RARITY.COMMON]: 1,
+    [CONSTANTS.RARITY.UNCOMMON]: 3,
+    [CONSTANTS.RARITY.RARE]: 10,
+    [CONSTANTS.RARITY.MYTHIC]: 30,
+    [CONSTANTS.RARITY.LEGENDARY]: 100,
+    [CONSTANTS.RARITY.SPECIAL]: 0
+};
+
+// Point thresholds for pack conversion
+const PACK_THRESHOLDS = [
+    { name: CONSTANTS.PACKS.COLLECTOR, points: 1000 },
+    { name: CONSTANTS.PACKS.DELUXE, points: 250 },
+    { name: CONSTANTS.PACKS.ADVANCED, points: 100 },
+    { name: CONSTANTS.PACKS.EXPLORER, points: 30 },
+    { name: CONSTANTS.PACKS.BASIC, points: 10 }
+];
+
+// Expedition Data
+const EXPEDITION_DATA = [
+    {
+        name: "Short Expedition",
+        durationMs: 5 * 60 * 1000, // 5 minutes
+        durationText: "5m",
+        basePack: CONSTANTS.PACKS.BASIC,
+        bonusPack: CONSTANTS.PACKS.EXPLORER,
+        bonusChance: 5,
+        image: "images/expeditions/exp-short.png"
+    },
+    {
+        name: "Medium Expedition",
+        durationMs: 60 * 60 * 1000, // 60 minutes
+        durationText: "1h",
+        basePack: CONSTANTS.PACKS.EXPLORER,
+        bonusPack: CONSTANTS.PACKS.ADVANCED,
+        bonusChance: 5,
+        image: "images/expeditions/exp-medium.png"
+    },
+    {
+        name: "Long Expedition",
+        durationMs: 8 * 60 * 60 * 1000, // 8 hours
+        durationText: "8h",
+        basePack: CONSTANTS.PACKS.ADVANCED,
+        bonusPack: CONSTANTS.PACKS.DELUXE,
+        bonusChance: 5,
+        image: "images/expeditions/exp-long.png"
+    }
+];
+
+// Loot Tables
+const FISHING_REWARDS = [
+    { type: "pack", packType: CONSTANTS.PACKS.ADVANCED, chance: 1 },
+    { type: "pack", packType: CONSTANTS.PACKS.EXPLORER, chance: 4 },
+    { type: "pack", packType: CONSTANTS.PACKS.RIVERBED, chance: 5 },
+    { type: "pack", packType: CONSTANTS.PACKS.BASIC, chance: 35 },
+    { type: "card", region: CONSTANTS.REGIONS.RIVERBED, chance: 30 },
+    { type: "none", message: "An old boot...", chance: 25 }
+];
+
+const WILD_RARITY_CHANCE = [
+    { rarity: CONSTANTS.RARITY.LEGENDARY, chance: 0.2 },
+    { rarity: CONSTANTS.RARITY.MYTHIC, chance: 0.5 },
+    { rarity: CONSTANTS.RARITY.RARE, chance: 9.3 },
+    { rarity: CONSTANTS.RARITY.UNCOMMON, chance: 20 },
+    { rarity: CONSTANTS.RARITY.COMMON, chance: 70 }
+];
+
+const SIFTING_REWARDS = [
+    { type: "pack", packType: CONSTANTS.PACKS.ADVANCED, chance: 1 },
+    { type: "pack", packType: CONSTANTS.PACKS.EXPLORER, chance: 4 },
+    { type: "pack", packType: CONSTANTS.PACKS.DESERT, chance: 5 },
+    { type: "pack", packType: CONSTANTS.PACKS.BASIC, chance: 35 },
+    { type: "card", region: CONSTANTS.REGIONS.DESERT, chance: 30 },
+    { type: "none", message: "Just sand...", chance: 25 }
+];
+
+// Progression Goals
+const UNLOCK_GOALS = {
+    FOIL: { type: "packs", value: 50 },
+    ALT_ART_1: { type: "unique", value: 100 },
+    ALT_ART_2: { type: "unique", value: 200 }
+};
+
+const VARIANT_RATES = {
+    FOIL_CHANCE: 1,
+    ART_CHANCES: {
+        LOCKED: [100, 0, 0],
+        ALT_1_UNLOCKED: [99, 1, 0],
+        ALT_2_UNLOCKED: [98, 1, 1]
+    }
+};
+
+const MUSEUM_SLOT_COUNT = 6;
+
+// --- Special rarity sources ---
+// Special cards never roll from ordinary pack weights; each one comes from at least one of these.
+
+// Limited-time events, by calendar date every year ("MM-DD", inclusive; a window may wrap past New Year).
+// While one runs, claimed expeditions also bring back an Event pack, whose special slot draws from its cards.
+const SPECIAL_EVENTS = [
+    { id: "valentine", name: "Valentine's Event", start: "02-07", end: "02-21", cards: ["rock-108"] },
+    { id: "spring", name: "Spring Event", start: "03-15", end: "04-05", cards: ["rock-115", "rock-116"] },
+    { id: "easter", name: "Easter Event", start: "04-06", end: "04-20", cards: ["rock-109", "rock-110"] },
+    { id: "summer", name: "Summer Event", start: "06-15", end: "07-15", cards: ["rock-113", "rock-114"] },
+    { id: "autumn", name: "Autumn Event", start: "09-20", end: "10-14", cards: ["rock-119", "rock-120"] },
+    { id: "halloween", name: "Halloween Event", start: "10-15", end: "11-05", cards: ["rock-104", "rock-105", "rock-106", "rock-107"] },
+    { id: "winter", name: "Winter Event", start: "12-01", end: "12-27", cards: ["rock-101", "rock-102", "rock-103"] },
+    { id: "newyear", name: "New Year's Event", start: "12-28", end: "01-07", cards: ["rock-111", "rock-112"] }
+];
+
+// One-off rewards for reaching a goal (same goal types as UNLOCK_GOALS), granted as soon as it is met
+const SPECIAL_MILESTONES = [
+    { id: "packs-100", label: "Open 100 packs", type: "packs", value: 100, cardId: "rock-117" },
+    { id: "unique-60", label: "Find 60 unique rocks", type: "unique", value: 60, cardId: "rock-118" }
+];
+
+// Codes the player can type in (any case), each redeemable once per save
+const SPECIAL_CODES = {
+    ROCKBIRTHDAY: { type: "card", cardId: "rock-118" },
+    TWOROCKS: { type: "card", cardId: "rock-117" },
+    COZYROCKS: { type: "pack", packType: CONSTANTS.PACKS.EVENT, count: 1 }
+};
+
+// Packs kept in the pull log; older entries drop off (totals live on in pullStats)
+const PULL_LOG_LIMIT = 200;
+
+/**
+ * GAME_EVENTS
+ * Everything the engine announces on `engine.events`. Payloads:
+ * - cardsAcquired        { cards: [{cardId, art, foil, isNew}], source }
+ * - packAdded            { packType, count }
+ * - packOpened           { packType, cards, count } (a bulk open announces all its packs at once)
+ * - regionUnlocked       { regionId }
+ * - expeditionStarted    { index, expedition }
+ * - expeditionCompleted  { index, rewards }
+ * - expeditionClaimed    { index, rewards }
+ * - conversionDone       { points, packType, removed }
+ * - museumChanged        { index, card }
+ * - progressChanged      { packsOpened, uniquesOwned }
+ */
+const GAME_EVENTS = Object.freeze({
+    CARDS_ACQUIRED: "cardsAcquired",
+    PACK_ADDED: "packAdded",
+    PACK_OPENED: "packOpened",
+    REGION_UNLOCKED: "regionUnlocked",
+    EXPEDITION_STARTED: "expeditionStarted",
+    EXPEDITION_COMPLETED: "expeditionCompleted",
+    EXPEDITION_CLAIMED: "expeditionClaimed",
+    CONVERSION_DONE: "conversionDone",
+    MUSEUM_CHANGED: "museumChanged",
+    PROGRESS_CHANGED: "progressChanged"
+});
+
+// Save format version. Bump together with a new step in SAVE_MIGRATIONS (save.js).
+const SCHEMA_VERSION = 8;
+
+// --- 2. CORE UTILITIES ---
+
+/**
+ * Generic weighted random selector.
+ * Replaces repetitive loops for packs, fishing, and sifting.
+ * @param {Array|Object} items - Array of objects with 'chance' OR Pack Rules object
+ * @param {boolean} isPackRules - Set to true if passing a pack rules object
+ * @param {Function} random - Source of floats in [0, 1), normally the engine's RNG
+ */
+function getWeightedRandom(items, isPackRules, random) {
+    let pool = [];
+
+    // Normalize input
+    if (isPackRules) {
+        // Convert {common: 80, rare: 5} to standard format
+        // Iterate RARITY_ORDER to maintain priority if needed
+        RARITY_ORDER.forEach(rarity => {
+            if (items[rarity]) {
+                pool.push({ value: rarity, weight: items[rarity] });
+            }
+        });
+    } else {
+        // Handle array like FISHING_REWARDS [{type:..., chance: 30}, ...]
+        pool = items.map(item => ({ value: item, weight: item.chance }));
+    }
+
+    const roll = random() * 100;
+    let cumulative = 0;
+
+    for (const entry of pool) {
+        cumulative += entry.weight;
+        if (roll < cumulative) {
+            return entry.value;
+        }
+    }
+
+    // Fallback
+    return pool[pool.length - 1].value;
+}
+
+/**
+ * True when `rarity` is `floor` or rarer (see RARITY_ORDER).
+ */
+function isRarityAtLeast(rarity, floor) {
+    const rank = RARITY_ORDER.indexOf(rarity);
+    return rank !== -1 && rank <= RARITY_ORDER.indexOf(floor);
+}
+
+/**
+ * Seedable PRNG (mulberry32) that reads and advances `rngState.cursor`.
+ * Draw n depends only on seed and n, so a save restores the exact stream.
+ * @param {{seed: number, cursor: number}} rngState - Lives in the save
+ * @returns {Function} Source of floats in [0, 1)
+ */
+function createRng(rngState) {
+    return function next() {
+        rngState.cursor++;
+        let t = (rngState.seed + Math.imul(rngState.cursor, 0x6D2B79F5)) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Publish/subscribe hub restricted to a fixed set of event names,
+ * so a typo in `on('packOpend')` fails loudly instead of never firing.
+ * @param {Object} eventNames - e.g. GAME_EVENTS
+ */
+function createEventBus(eventNames) {
+    const known = new Set(Object.values(eventNames));
+    const listeners = {};
+
+    function assertKnown(name) {
+        if (!known.has(name)) throw new Error(`Unknown game event: ${name}`);
+    }
+
+    function off(name, handler) {
+        if (listeners[name]) listeners[name] = listeners[name].filter(h => h !== handler);
+    }
+
+    return {
+        /** @returns {Function} Unsubscribe */
+        on(name, handler) {
+            assertKnown(name);
+            if (!listeners[name]) listeners[name] = [];
+            listeners[name].push(handler);
+            return () => off(name, handler);
+        },
+        off,
+        emit(name, payload) {
+            assertKnown(name);
+            (listeners[name] || []).slice().forEach(handler => {
+                // A broken subscriber must not abort the action that emitted
+                try {
+                    handler(payload);
+                } catch (e) {
+                    console.error(`Listener for ${name} failed.`, e);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Picks a fresh 32-bit seed. The only Math.random() call left in the game.
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Groups card ids by rarity, by region and by region x rarity, keeping cards.json order
+ * so draws from an index pick the same card a filter over all cards would.
+ * Built once after the master data loads.
+ * @returns {{byRarity: Object, byRegion: Object, byRegionRarity: Object}}
+ */
+function buildCardIndex(cards) {
+    const index = { byRarity: {}, byRegion: {}, byRegionRarity: {} };
+    for (const id in cards) {
+        const { rarity, region } = cards[id];
+        (index.byRarity[rarity] = index.byRarity[rarity] || []).push(id);
+        (index.byRegion[region] = index.byRegion[region] || []).push(id);
+        const inRegion = index.byRegionRarity[region] = index.byRegionRarity[region] || {};
+        (inRegion[rarity] = inRegion[rarity] || []).push(id);
+    }
+    return index;
+}
+
+/**
+ * The SPECIAL_EVENTS entry running at a given time (local calendar date), or null.
+ * @param {number} time - ms since epoch
+ */
+function findActiveEvent(time) {
+    const date = new Date(time);
+    const day = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return SPECIAL_EVENTS.find(event => event.start <= event.end
+        ? day >= event.start && day <= event.end
+        : day >= event.start || day <= event.end) || null;
+}
+
+/**
+ * Key of one owned variant (a row of inventory.cards).
+ */
+function variantKey(cardId, art, foil) {
+    return `${cardId}|${art}|${foil}`;
+}
+
+/**
+ * Fresh save for a brand new player.
+ * @param {number} [seed] - RNG seed; a random one is picked when omitted
+ */
+function createDefaultState(seed = createSeed()) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        rng: { seed: seed >>> 0, cursor: 0 },
+        player: {
+            packsOpened: 0,
+            uniquesOwned: 0,
+            pity: {}, // packs of each type opened since its pity rarity last dropped
+            packsInventory: {
+                [CONSTANTS.PACKS.BASIC]: 5,
+                [CONSTANTS.PACKS.EXPLORER]: 0,
+                [CONSTANTS.PACKS.ADVANCED]: 0,
+                [CONSTANTS.PACKS.DELUXE]: 0,
+                [CONSTANTS.PACKS.COLLECTOR]: 0,
+                [CONSTANTS.PACKS.EVENT]: 0,
+                [CONSTANTS.PACKS.RIVERBED]: 0,
+                [CONSTANTS.PACKS.DESERT]: 0
+            },
+            packOrigins: {} // where unopened packs came from, see addPacks()
+        },
+        specials: { milestones: [], codes: [] }, // SPECIAL_MILESTONES ids reached, SPECIAL_CODES redeemed
+        inventory: { cards: [] }, // [{ cardId, art, foil, count, acquired }], see addCardsToInventory()
+        expeditions: EXPEDITION_DATA.map(() => ({ status: "empty" })),
+        museum: { background: 'bg-forest', frame: 'frame-1', slots: new Array(MUSEUM_SLOT_COUNT).fill(null) },
+        pullLog: [],   // newest last: [{ at, packType, cards: [{cardId, art, foil, isNew}] }]
+        pullStats: {}  // per pack type, see recordPull()
+    };
+}
+
+// --- 3. ENGINE ---
+
+/**
+ * Creates a game engine around a save.
+ * Every action mutates `engine.state`, announces what changed on
+ * `engine.events` (see GAME_EVENTS) and returns a plain result object
+ * ({ ok: true, ... } or { ok: false, error }) for the caller.
+ * @param {Object} masterData - { cards, packs, regions } as loaded from the JSON files,
+ *   plus an optional prebuilt `index` (see buildCardIndex)
+ * @param {Object} [state] - Existing save; a default one is created when omitted
+ * @param {Object} [options] - { now } override for time
+ *
+ * A read-only engine (see setReadOnly) refuses every action, so a tab that
+ * only mirrors another tab's game can't fork the save.
+ */
+function createGameEngine(masterData, state, options = {}) {
+    const cards = masterData.cards;
+    const packs = masterData.packs;
+    const regions = masterData.regions;
+    const cardIndex = masterData.index || buildCardIndex(cards);
+    const now = options.now || (() => Date.now());
+
+    state = state || createDefaultState();
+    let rng = createRng(state.rng);
+    const random = () => rng();
+    const events = createEventBus(GAME_EVENTS);
+    let readOnly = false;
+
+    // --- Indexes ---
+    // Kept in step with the save by the mutations below, never rescanned per draw.
+
+    /**
+     * Inventory rows by variantKey, and the set of card ids owned in any variant.
+     */
+    function indexOwnedCards() {
+        const byVariant = new Map();
+        const ids = new Set();
+        state.inventory.cards.forEach(c => {
+            byVariant.set(variantKey(c.cardId, c.art, c.foil), c);
+            ids.add(c.cardId);
+        });
+        return { byVariant, ids };
+    }
+
+    let owned = indexOwnedCards();
+
+    // Draw pools per rarity (and region filter), limited to unlocked regions; dropped whenever a region opens
+    let unlockedPools = {};
+
+    /**
+     * @param {string[]} [regionFilter] - Only these regions (a region pack's "regions")
+     */
+    function getUnlockedPool(rarity, regionFilter = null) {
+        const key = regionFilter ? `${rarity}|${regionFilter.join(',')}` : rarity;
+        if (!unlockedPools[key]) {
+            unlockedPools[key] = (cardIndex.byRarity[rarity] || []).filter(id => knownUnlocked.has(cards[id].region)
+                && (!regionFilter || regionFilter.includes(cards[id].region)));
+        }
+        return unlockedPools[key];
+    }
+
+    // --- Queries ---
+
+    function getUniqueCardCount() {
+        return owned.ids.size;
+    }
+
+    function getUnlockedRegions() {
+        const unlocked = [];
+        const packsOpened = state.player.packsOpened;
+        const uniques = getUniqueCardCount();
+
+        for (const regionId in regions) {
+            const unlock = regions[regionId].unlock;
+            if (unlock.type === 'packs' && packsOpened >= unlock.value) unlocked.push(regionId);
+            else if (unlock.type === 'unique' && uniques >= unlock.value) unlocked.push(regionId);
+        }
+        return unlocked;
+    }
+
+    function isCardIdNew(cardId) {
+        return !owned.ids.has(cardId);
+    }
+
+    function pickOne(list) {
+        return list[Math.floor(random() * list.length)];
+    }
+
+    /**
+     * Fisher-Yates shuffle of a copy, driven by the save's RNG.
+     */
+    function shuffle(list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Cards a roll of `rarity` can land on in the UNLOCKED regions (optionally only `regionFilter`).
+     * A rarity with nothing there falls back to commons: the filtered regions' first, then any.
+     * @returns {{pool: string[], rarity: string}} rarity is the one actually given
+     */
+    function getDrawPool(rarity, regionFilter = null) {
+        let pool = getUnlockedPool(rarity, regionFilter);
+        if (pool.length > 0) return { pool, rarity };
+        pool = getUnlockedPool(CONSTANTS.RARITY.COMMON, regionFilter);
+        if (pool.length === 0) pool = getUnlockedPool(CONSTANTS.RARITY.COMMON);
+        return { pool, rarity: CONSTANTS.RARITY.COMMON };
+    }
+
+    /**
+     * Gets a random card of specific rarity from UNLOCKED regions.
+     * @param {string[]} [regionFilter] - Only these regions
+     */
+    function getRandomCardOfRarity(rarity, regionFilter = null) {
+        return pickOne(getDrawPool(rarity, regionFilter).pool);
+    }
+
+    /**
+     * Finds a wild card based on Region and Weighted Rarity.
+     */
+    function getRandomCardOfRegion(region) {
+        // Ensure region is unlocked
+        if (!knownUnlocked.has(region)) region = knownUnlocked.values().next().value || CONSTANTS.REGIONS.RIVERBED;
+
+        // Pick rarity
+        const rarity = getWeightedRandom(WILD_RARITY_CHANCE, false, random).rarity;
+
+        const matches = (cardIndex.byRegionRarity[region] || {})[rarity] || [];
+        if (matches.length > 0) return pickOne(matches);
+
+        // Fallback if that specific rarity doesn't exist in region
+        const anyInRegion = cardIndex.byRegion[region] || [];
+        return anyInRegion.length > 0 ? pickOne(anyInRegion) : null;
+    }
+
+    function getConversionPoints(selection) {
+        let pts = 0;
+        selection.forEach(c => {
+            pts += (CONVERSION_POINTS[cards[c.cardId].rarity] || 0) * c.count;
+        });
+        return pts;
+    }
+
+    function getConversionReward(points) {
+        return PACK_THRESHOLDS.find(p => points >= p.points) || null;
+    }
+
+    // Regions already open, so progress changes can announce new ones
+    let knownUnlocked = new Set(getUnlockedRegions());
+
+    function checkRegionUnlocks() {
+        const unlocked = getUnlockedRegions();
+        const opened = unlocked.filter(regionId => !knownUnlocked.has(regionId));
+        if (opened.length > 0 || unlocked.length !== knownUnlocked.size) unlockedPools = {};
+        knownUnlocked = new Set(unlocked);
+        opened.forEach(regionId => events.emit(GAME_EVENTS.REGION_UNLOCKED, { regionId }));
+    }
+
+    // --- Specials ---
+
+    function getActiveEvent() {
+        return findActiveEvent(now());
+    }
+
+    function getMilestoneProgress(milestone) {
+        return milestone.type === 'packs' ? state.player.packsOpened : getUniqueCardCount();
+    }
+
+    /**
+     * Every SPECIAL_MILESTONES entry with where the player stands on it.
+     * @returns {Array<{id, label, type, value, cardId, progress: number, claimed: boolean}>}
+     */
+    function getMilestones() {
+        return SPECIAL_MILESTONES.map(m => ({ ...m, progress: getMilestoneProgress(m), claimed: state.specials.milestones.includes(m.id) }));
+    }
+
+    /**
+     * Where a special card can be earned.
+     * @returns {Array<{type: 'event', event} | {type: 'milestone', milestone} | {type: 'code'}>}
+     */
+    function getSpecialSources(cardId) {
+        const sources = [];
+        SPECIAL_EVENTS.filter(e => e.cards.includes(cardId)).forEach(event => sources.push({ type: 'event', event }));
+        SPECIAL_MILESTONES.filter(m => m.cardId === cardId).forEach(milestone => sources.push({ type: 'milestone', milestone }));
+        if (Object.values(SPECIAL_CODES).some(r => r.type === 'card' && r.cardId === cardId)) sources.push({ type: 'code' });
+        return sources;
+    }
+
+    /**
+     * Grants the card of every milestone just reached. Announced like any other cards,
+     * with source 'milestone'. Runs after each grant and progress change, and once when
+     * a tab starts writing, for saves that reached a milestone before it existed.
+     * @returns {{ok: true, granted: string[]}} Milestone ids rewarded just now
+     */
+    function checkMilestones() {
+        const granted = [];
+        SPECIAL_MILESTONES.forEach(m => {
+            if (state.specials.milestones.includes(m.id) || getMilestoneProgress(m) < m.value) return;
+            state.specials.milestones.push(m.id); // first, so the grant below can't claim it twice
+            granted.push(m.id);
+            addCardsToInventory([{ cardId: m.cardId, art: 0, foil: "normal", isNew: isCardIdNew(m.cardId) }], 'milestone');
+        });
+        return { ok: true, granted };
+    }
+
+    // --- Mutations ---
+
+    /**
+     * Each copy is logged on its inventory row as { at, source, packType?, origin? } in `acquired`,
+     * oldest first, so the row always knows when and how its first copy arrived.
+     * @param {Array} newCards - [{cardId, art, foil, isNew}]
+     * @param {string} source - Where they came from ('pack', 'fishing', 'sifting', 'milestone', 'code', 'dev')
+     * @param {boolean} [quiet] - Skip cardsAcquired; the caller announces a whole batch itself
+     * @param {string} [packType] - For source 'pack'
+     * @param {string} [origin] - For source 'pack': where the pack came from, when known (see addPacks)
+     */
+    function addCardsToInventory(newCards, source, quiet = false, packType = null, origin = null) {
+        const acquisition = packType ? { at: now(), source, packType } : { at: now(), source };
+        if (origin) acquisition.origin = origin;
+        newCards.forEach(newCard => {
+            const art = newCard.art || 0;
+            const foil = newCard.foil || "normal";
+            const key = variantKey(newCard.cardId, art, foil);
+            const existing = owned.byVariant.get(key);
+            if (existing) {
+                existing.count++;
+                existing.acquired.push({ ...acquisition });
+            } else {
+                const row = { cardId: newCard.cardId, art, foil, count: 1, acquired: [{ ...acquisition }] };
+                state.inventory.cards.push(row);
+                owned.byVariant.set(key, row);
+                owned.ids.add(newCard.cardId);
+            }
+        });
+        state.player.uniquesOwned = getUniqueCardCount();
+        if (!quiet) events.emit(GAME_EVENTS.CARDS_ACQUIRED, { cards: newCards, source });
+        checkRegionUnlocks();
+        checkMilestones();
+    }
+
+    /**
+     * @param {string} [origin] - Where the packs came from ('expedition', 'fishing', 'sifting',
+     *   'conversion', 'code', 'dev'); their cards carry it into `acquired` when opened
+     */
+    function addPacks(packType, count = 1, origin = null) {
+        if (state.player.packsInventory[packType] === undefined) {
+            return { ok: false, error: `Unknown pack type: ${packType}` };
+        }
+        state.player.packsInventory[packType] += count;
+        if (origin && count > 0) recordPackOrigin(packType, count, origin);
+        events.emit(GAME_EVENTS.PACK_ADDED, { packType, count, origin });
+        return { ok: true, packType, count };
+    }
+
+    // --- Pack origins ---
+    // player.packOrigins[type] lists where the unopened packs of a type came from,
+    // oldest first, as [{ origin, count }] runs. Packs it doesn't cover (starting
+    // packs, saves from before origins were kept) have no origin and open first.
+
+    function recordPackOrigin(packType, count, origin) {
+        const runs = state.player.packOrigins[packType] = state.player.packOrigins[packType] || [];
+        const last = runs[runs.length - 1];
+        if (last && last.origin === origin) last.count += count;
+        else runs.push({ origin, count });
+    }
+
+    /**
+     * Origin of the next pack of this type to be opened, removed from the record.
+     * @returns {string|null}
+     */
+    function takePackOrigin(packType) {
+        const runs = state.player.packOrigins[packType];
+        if (!runs || runs.length === 0) return null;
+        const tracked = runs.reduce((sum, run) => sum + run.count, 0);
+        if (state.player.packsInventory[packType] > tracked) return null;
+
+        const origin = runs[0].origin;
+        if (--runs[0].count === 0) runs.shift();
+        if (runs.length === 0) delete state.player.packOrigins[packType];
+        return origin;
+    }
+
+    // --- Pack composition ---
+    // Each pack in packs.json lists its slots in order; the card count is the sum of their counts:
+    //   weights    - rarity weights (adding up to 100) for slots that don't set their own
+    //   regions    - optional list of region ids every card is drawn from (a region pack);
+    //                the pack stays locked until all of them are unlocked
+    //   slots      - [{ count, weights, foilChance, artChances, eventSpecial, unowned }], every field optional;
+    //                foilChance (0-100) and artChances ([normal, alt 1, alt 2]) replace the
+    //                usual rolls for that slot even before foil/alt art are unlocked;
+    //                eventSpecial slots give a special card of the running event (see SPECIAL_EVENTS);
+    //                unowned slots give a card the player has never had (see getUnownedChoices)
+
+    /**
+     * One entry per card the pack gives, in draw order, with slot defaults filled in.
+     * @returns {Array<{weights: Object, foilChance: (number|undefined), artChances: (number[]|undefined),
+     *   eventSpecial: boolean, unowned: boolean, regions: (string[]|null)}>}
+     */
+    function getPackSlots(packType) {
+        const packRules = packs[packType];
+        const slots = [];
+        packRules.slots.forEach(slot => {
+            const count = slot.count === undefined ? 1 : slot.count;
+            const weights = slot.eventSpecial ? { [CONSTANTS.RARITY.SPECIAL]: 100 } : (slot.weights || packRules.weights);
+            for (let i = 0; i < count; i++) {
+                slots.push({
+                    weights,
+                    foilChance: slot.foilChance,
+                    artChances: slot.artChances,
+                    eventSpecial: !!slot.eventSpecial,
+                    unowned: !!slot.unowned,
+                    regions: packRules.regions || null
+                });
+            }
+        });
+        return slots;
+    }
+
+    /**
+     * Cards a slot can give for a rolled rarity: the running event's specials for
+     * eventSpecial slots, otherwise getDrawPool within the pack's regions.
+     * @returns {{pool: string[], rarity: string}}
+     */
+    function getSlotPool(slot, rarity) {
+        if (!slot.eventSpecial) return getDrawPool(rarity, slot.regions);
+        const event = getActiveEvent();
+        return { pool: event ? event.cards : [], rarity };
+    }
+
+    /**
+     * What an unowned slot can give for a rolled rarity: cards never owned from the unlocked
+     * regions (that rarity when it has any left, else every rarity but special). Once all of
+     * those are owned, variants the player lacks instead: foil, or an alt art already unlocked.
+     * @param {Set} [exclude] - Card ids and variantKeys already in this pack
+     * @returns {Array<{cardId, art: (number|null), foil: (string|null)}>} art/foil are set only
+     *   for missing variants; new cards roll them as usual. Empty when nothing is left to give.
+     */
+    function getUnownedChoices(rarity, regionFilter, exclude = new Set()) {
+        const drawable = RARITY_ORDER.filter(r => r !== CONSTANTS.RARITY.SPECIAL);
+        const unownedOf = (r) => getUnlockedPool(r, regionFilter)
+            .filter(id => !owned.ids.has(id) && !exclude.has(id))
+            .map(cardId => ({ cardId, art: null, foil: null }));
+        const newCards = drawable.includes(rarity) ? unownedOf(rarity) : [];
+        if (newCards.length > 0) return newCards;
+        const anyNew = drawable.flatMap(unownedOf);
+        if (anyNew.length > 0) return anyNew;
+
+        const artChances = getVariantRates().artChances;
+        const arts = [0, 1, 2].filter(art => art === 0 || artChances[art] > 0);
+        const missingOf = (r) => getUnlockedPool(r, regionFilter).flatMap(cardId => arts.flatMap(art => ["normal", "foil"]
+            .filter(foil => !owned.byVariant.has(variantKey(cardId, art, foil)) && !exclude.has(variantKey(cardId, art, foil)))
+            .map(foil => ({ cardId, art, foil }))));
+        const variants = drawable.includes(rarity) ? missingOf(rarity) : [];
+        return variants.length > 0 ? variants : drawable.flatMap(missingOf);
+    }
+
+    /**
+     * Why a pack type can't be opened right now, or null when it can.
+     */
+    function getPackLock(packType) {
+        if (!packs[packType]) return `Unknown pack type: ${packType}`;
+        if (packs[packType].slots.some(slot => slot.eventSpecial) && !getActiveEvent()) {
+            return "Event packs can only be opened while an event is running.";
+        }
+        const locked = (packs[packType].regions || []).filter(regionId => !knownUnlocked.has(regionId));
+        if (locked.length > 0) {
+            return `Unlock ${locked.map(regionId => regions[regionId].name).join(' and ')} to open this pack.`;
+        }
+        return null;
+    }
+
+    // --- Pity ---
+    // Optional per-pack "pity" rules in packs.json:
+    //   rarity          - the pull being chased; that rarity or rarer counts as a hit
+    //   guaranteeWithin - the Nth pack in a row without a hit forces one
+    //   softAfter       - after this many misses the chased rarity gets more weight...
+    //   softBoost       - ...this many points per further miss, taken from the lower rarities
+
+    function getPityMisses(packType) {
+        return state.player.pity[packType] || 0;
+    }
+
+    /**
+     * Where a pack type stands on its pity rule, or null if it has none.
+     */
+    function getPityProgress(packType) {
+        const rule = packs[packType] && packs[packType].pity;
+        if (!rule) return null;
+        const misses = getPityMisses(packType);
+        return {
+            rarity: rule.rarity,
+            misses,
+            guaranteeWithin: rule.guaranteeWithin || null,
+            packsUntilGuarantee: rule.guaranteeWithin ? Math.max(1, rule.guaranteeWithin - misses) : null,
+            softActive: rule.softAfter !== undefined && misses >= rule.softAfter
+        };
+    }
+
+    /**
+     * A slot's rarity weights with the pack's soft pity applied. Still adds up to 100.
+     */
+    function getPityWeights(packType, slotWeights) {
+        const rule = packs[packType].pity;
+        const weights = { ...slotWeights };
+        if (!rule || rule.softAfter === undefined) return weights;
+
+        const misses = getPityMisses(packType);
+        if (misses < rule.softAfter) return weights;
+
+        const lower = RARITY_ORDER.filter(r => !isRarityAtLeast(r, rule.rarity));
+        const lowerTotal = lower.reduce((sum, r) => sum + (weights[r] || 0), 0);
+        const boost = Math.min(lowerTotal, (misses - rule.softAfter + 1) * (rule.softBoost || 0));
+        if (boost <= 0) return weights;
+
+        lower.forEach(r => { weights[r] = (weights[r] || 0) * (lowerTotal - boost) / lowerTotal; });
+        weights[rule.rarity] = (weights[rule.rarity] || 0) + boost;
+        return weights;
+    }
+
+    /**
+     * A slot's chased-or-better weights scaled up to 100, or null when it gives them no weight.
+     */
+    function getGuaranteedWeights(packType, slotWeights) {
+        const rule = packs[packType].pity;
+        const eligible = RARITY_ORDER.filter(r => isRarityAtLeast(r, rule.rarity) && slotWeights[r] > 0);
+        const total = eligible.reduce((sum, r) => sum + slotWeights[r], 0);
+        if (total === 0) return null;
+
+        const weights = {};
+        eligible.forEach(r => { weights[r] = slotWeights[r] * 100 / total; });
+        return weights;
+    }
+
+    /**
+     * Rolls a rarity for a hard pity guarantee.
+     */
+    function rollGuaranteedRarity(packType, slotWeights) {
+        const weights = getGuaranteedWeights(packType, slotWeights);
+        return weights ? getWeightedRandom(weights, true, random) : packs[packType].pity.rarity;
+    }
+
+    function isPityGuaranteed(packType) {
+        const rule = packs[packType].pity;
+        return !!(rule && rule.guaranteeWithin && getPityMisses(packType) + 1 >= rule.guaranteeWithin);
+    }
+
+    // --- Variants ---
+
+    /**
+     * Foil and alt-art odds for slots without overrides, given the UNLOCK_GOALS reached.
+     */
+    function getVariantRates() {
+        const foilUnlocked = state.player.packsOpened >= UNLOCK_GOALS.FOIL.value;
+        const uniques = state.player.uniquesOwned;
+        let artChances = VARIANT_RATES.ART_CHANCES.LOCKED;
+        if (uniques >= UNLOCK_GOALS.ALT_ART_2.value) artChances = VARIANT_RATES.ART_CHANCES.ALT_2_UNLOCKED;
+        else if (uniques >= UNLOCK_GOALS.ALT_ART_1.value) artChances = VARIANT_RATES.ART_CHANCES.ALT_1_UNLOCKED;
+        return { foilUnlocked, foilChance: foilUnlocked ? VARIANT_RATES.FOIL_CHANCE : 0, artChances };
+    }
+
+    // --- Odds ---
+
+    /**
+     * Odds for the next pack of a type, worked out the way openPack would roll it now:
+     * current pity, unlocked regions, the fallback to common when a rolled rarity has
+     * nothing unlocked, and the variant unlocks. Rates are per card (averaged over the
+     * pack's slots) unless the name ends in InPack ("at least one in this pack").
+     */
+    function getPackOdds(packType) {
+        const packRules = packs[packType];
+        if (!packRules) return null;
+        const slots = getPackSlots(packType);
+        const pity = packRules.pity;
+        const guaranteed = isPityGuaranteed(packType);
+        const variants = getVariantRates();
+
+        const rarity = {};
+        const region = {};
+        let fallback = 0;
+        let newSum = 0, noNew = 1;
+        let foilSum = 0, noFoil = 1;
+        const artSum = [0, 0, 0];
+        let noHitYet = 1; // chance that no earlier slot has met the pity rarity
+
+        slots.forEach((slot, i) => {
+            let weights = getPityWeights(packType, slot.weights);
+            if (guaranteed && i === slots.length - 1) {
+                // The guarantee only kicks in when nothing before this slot hit
+                const forced = getGuaranteedWeights(packType, slot.weights) || { [pity.rarity]: 100 };
+                const mixed = {};
+                RARITY_ORDER.forEach(r => {
+                    const w = (1 - noHitYet) * (weights[r] || 0) + noHitYet * (forced[r] || 0);
+                    if (w > 0) mixed[r] = w;
+                });
+                weights = mixed;
+            }
+
+            const landed = {};
+            let slotNew = 0;
+            // Missing variants an unowned slot hands out instead of rolling foil and art
+            let forced = 0, forcedFoil = 0;
+            const forcedArt = [0, 0, 0];
+            for (const [rolled, weight] of Object.entries(weights)) {
+                if (!(weight > 0)) continue;
+                const chance = weight / 100;
+                const choices = slot.unowned ? getUnownedChoices(rolled, slot.regions) : [];
+                if (choices.length > 0) {
+                    const perChoice = chance / choices.length;
+                    choices.forEach(choice => {
+                        const card = cards[choice.cardId];
+                        landed[card.rarity] = (landed[card.rarity] || 0) + perChoice;
+                        region[card.region] = (region[card.region] || 0) + perChoice;
+                        if (choice.art === null) {
+                            slotNew += perChoice;
+                            return;
+                        }
+                        forced += perChoice;
+                        if (choice.foil === "foil") forcedFoil += perChoice;
+                        forcedArt[choice.art] += perChoice;
+                    });
+                    continue;
+                }
+
+                const { pool, rarity: result } = getSlotPool(slot, rolled);
+                if (result !== rolled) fallback += chance;
+                if (pool.length === 0) continue;
+
+                landed[result] = (landed[result] || 0) + chance;
+                const perCard = chance / pool.length;
+                pool.forEach(id => {
+                    region[cards[id].region] = (region[cards[id].region] || 0) + perCard;
+                    if (!owned.ids.has(id)) slotNew += perCard;
+                });
+            }
+
+            for (const [r, chance] of Object.entries(landed)) rarity[r] = (rarity[r] || 0) + chance;
+            newSum += slotNew;
+            noNew *= 1 - slotNew;
+            if (pity) {
+                const hit = Object.entries(landed).reduce((sum, [r, chance]) => sum + (isRarityAtLeast(r, pity.rarity) ? chance : 0), 0);
+                noHitYet *= 1 - hit;
+            }
+
+            const foilChance = forcedFoil + (1 - forced) * (slot.foilChance !== undefined ? slot.foilChance : variants.foilChance) / 100;
+            foilSum += foilChance;
+            noFoil *= 1 - foilChance;
+            (slot.artChances || variants.artChances).forEach((chance, art) => { artSum[art] += forcedArt[art] + (1 - forced) * chance / 100; });
+        });
+
+        const n = slots.length;
+        Object.keys(rarity).forEach(r => { rarity[r] /= n; });
+        Object.keys(region).forEach(r => { region[r] /= n; });
+        const uniques = state.player.uniquesOwned;
+
+        return {
+            packType,
+            cardCount: n,
+            pity: getPityProgress(packType),
+            guaranteed,
+            rarity,
+            region,
+            fallback: fallback / n,
+            newCard: newSum / n,
+            newInPack: 1 - noNew,
+            foil: foilSum / n,
+            foilInPack: 1 - noFoil,
+            altArt1: artSum[1] / n,
+            altArt2: artSum[2] / n,
+            unlocks: {
+                foil: { unlocked: variants.foilUnlocked, progress: state.player.packsOpened, goal: UNLOCK_GOALS.FOIL },
+                altArt1: { unlocked: uniques >= UNLOCK_GOALS.ALT_ART_1.value, progress: uniques, goal: UNLOCK_GOALS.ALT_ART_1 },
+                altArt2: { unlocked: uniques >= UNLOCK_GOALS.ALT_ART_2.value, progress: uniques, goal: UNLOCK_GOALS.ALT_ART_2 }
+            }
+        };
+    }
+
+    // --- Actions ---
+
+    function openPack(packType) {
+        const lock = getPackLock(packType);
+        if (lock) return { ok: false, error: lock };
+        if (!(state.player.packsInventory[packType] > 0)) return { ok: false, error: `No ${packType} packs left.` };
+
+        const newCards = drawPack(packType, false);
+        events.emit(GAME_EVENTS.PACK_OPENED, { packType, cards: newCards, count: 1 });
+        return { ok: true, packType, cards: newCards };
+    }
+
+    /**
+     * Opens up to `count` packs of one type in a row (all of them when count is omitted).
+     * Panels hear one cardsAcquired/packOpened pair for the whole batch;
+     * regionUnlocked still fires as each region opens.
+     * @returns {{ok: true, packType, count, packs: Array[], cards: Array, regionsUnlocked: string[]}}
+     */
+    function openPacks(packType, count = Infinity) {
+        const lock = getPackLock(packType);
+        if (lock) return { ok: false, error: lock };
+        const available = state.player.packsInventory[packType] || 0;
+        const toOpen = Math.min(count, available);
+        if (!(toOpen >= 1)) return { ok: false, error: `No ${packType} packs left.` };
+
+        const regionsBefore = new Set(knownUnlocked);
+        const opened = [];
+        for (let i = 0; i < toOpen; i++) opened.push(drawPack(packType, true));
+
+        const allCards = opened.flat();
+        events.emit(GAME_EVENTS.CARDS_ACQUIRED, { cards: allCards, source: 'pack' });
+        events.emit(GAME_EVENTS.PACK_OPENED, { packType, cards: allCards, count: toOpen });
+        return {
+            ok: true,
+            packType,
+            count: toOpen,
+            packs: opened,
+            cards: allCards,
+            regionsUnlocked: [...knownUnlocked].filter(regionId => !regionsBefore.has(regionId))
+        };
+    }
+
+    // --- Pull history ---
+
+    /**
+     * Logs one opened pack and adds it to the running totals for its type.
+     * Each card also adds what the rules expected of its slot, so observed
+     * rates can be checked against packs.json and VARIANT_RATES later:
+     *   rarity / expectedRarity   - cards per rarity, and the slot weights (packs.json, before pity)
+     *   foils / expectedFoils     - foils, and the summed foil chances that applied
+     *   arts / expectedArts       - cards per art [normal, alt 1, alt 2], and the summed art chances
+     * @param {Array} expectations - Per card: { weights, foilChance, artChances } as rolled
+     */
+    function recordPull(packType, newCards, expectations) {
+        state.pullLog.push({ at: now(), packType, cards: newCards.map(c => ({ ...c })) });
+        if (state.pullLog.length > PULL_LOG_LIMIT) state.pullLog.splice(0, state.pullLog.length - PULL_LOG_LIMIT);
+
+        const stats = state.pullStats[packType] = state.pullStats[packType] || {
+            packs: 0, cards: 0, rarity: {}, expectedRarity: {}, foils: 0, expectedFoils: 0, arts: [0, 0, 0], expectedArts: [0, 0, 0]
+        };
+        stats.packs++;
+        newCards.forEach((card, i) => {
+            const expected = expectations[i];
+            const rarity = cards[card.cardId].rarity;
+            stats.cards++;
+            stats.rarity[rarity] = (stats.rarity[rarity] || 0) + 1;
+            for (const [r, weight] of Object.entries(expected.weights)) {
+                if (weight > 0) stats.expectedRarity[r] = (stats.expectedRarity[r] || 0) + weight / 100;
+            }
+            if (card.foil === "foil") stats.foils++;
+            stats.expectedFoils += expected.foilChance / 100;
+            stats.arts[card.art]++;
+            expected.artChances.forEach((chance, art) => { stats.expectedArts[art] += chance / 100; });
+        });
+    }
+
+    /**
+     * Spends one pack and adds its cards. Shared by openPack and openPacks,
+     * which announce the result themselves.
+     * @param {boolean} quiet - Passed on to addCardsToInventory
+     * @returns {Array} [{cardId, art, foil, isNew}]
+     */
+    function drawPack(packType, quiet) {
+        const packRules = packs[packType];
+        const origin = takePackOrigin(packType);
+        state.player.packsInventory[packType]--;
+
+        // Unlock Checks
+        const { foilUnlocked, artChances } = getVariantRates();
+
+        const pity = packRules.pity;
+        const guaranteed = isPityGuaranteed(packType);
+        const slots = getPackSlots(packType);
+
+        const newCards = [];
+        const expectations = [];
+        const drawn = new Set(); // card ids and variantKeys so far, which unowned slots skip
+        let pityHit = false;
+        slots.forEach((slot, i) => {
+            // 1. Rarity & ID (the last slot makes good on a hard pity guarantee)
+            const lastCard = i === slots.length - 1;
+            const rarity = (guaranteed && lastCard && !pityHit)
+                ? rollGuaranteedRarity(packType, slot.weights)
+                : getWeightedRandom(getPityWeights(packType, slot.weights), true, random);
+            const choices = slot.unowned ? getUnownedChoices(rarity, slot.regions, drawn) : [];
+            const choice = choices.length > 0 ? pickOne(choices) : null;
+            let cardId;
+            if (choice) cardId = choice.cardId;
+            else if (slot.eventSpecial) cardId = pickOne(getSlotPool(slot, rarity).pool);
+            else cardId = getRandomCardOfRarity(rarity, slot.regions);
+            const isNew = isCardIdNew(cardId);
+            // Judged on the card actually drawn: a locked-region fallback to common is still a miss
+            if (pity && isRarityAtLeast(cards[cardId].rarity, pity.rarity)) pityHit = true;
+
+            // 2. Foil
+            const isFoil = slot.foilChance !== undefined
+                ? random() * 100 < slot.foilChance
+                : foilUnlocked && random() * 100 < VARIANT_RATES.FOIL_CHANCE;
+            let foil = isFoil ? "foil" : "normal";
+            let foilChance = slot.foilChance !== undefined ? slot.foilChance : (foilUnlocked ? VARIANT_RATES.FOIL_CHANCE : 0);
+
+            // 3. Art
+            let slotArt = slot.artChances || artChances;
+            const artRoll = random() * 100;
+            let art = 0;
+            if (artRoll < slotArt[2]) art = 2;
+            else if (artRoll < (slotArt[1] + slotArt[2])) art = 1;
+
+            // A missing variant from an unowned slot is given as is
+            if (choice && choice.art !== null) {
+                art = choice.art;
+                foil = choice.foil;
+                foilChance = foil === "foil" ? 100 : 0;
+                slotArt = [0, 1, 2].map(a => (a === art ? 100 : 0));
+            }
+
+            drawn.add(cardId);
+            drawn.add(variantKey(cardId, art, foil));
+            newCards.push({ cardId, art, foil, isNew });
+            expectations.push({ weights: slot.weights, foilChance, artChances: slotArt });
+        });
+
+        recordPull(packType, newCards, expectations);
+        if (pity) state.player.pity[packType] = pityHit ? 0 : getPityMisses(packType) + 1;
+        state.player.packsOpened++;
+        addCardsToInventory(newCards, 'pack', quiet, packType, origin);
+        return newCards;
+    }
+
+    /**
+     * Trades duplicate copies for the best pack their points reach.
+     * Rows for the same variant are added up before checking, so a selection
+     * can never give away the last copy (or more copies than are owned).
+     * @param {Array} selection - [{cardId, art, foil, count}] copies to give up
+     */
+    function convert(selection) {
+        const merged = new Map();
+        for (const sel of selection) {
+            if (!Number.isInteger(sel.count) || sel.count < 1) {
+                return { ok: false, error: `Invalid count for ${sel.cardId}.` };
+            }
+            const art = sel.art || 0;
+            const foil = sel.foil || "normal";
+            const key = variantKey(sel.cardId, art, foil);
+            const row = merged.get(key);
+            if (row) row.count += sel.count;
+            else merged.set(key, { cardId: sel.cardId, art, foil, count: sel.count });
+        }
+
+        const removed = [...merged.values()];
+        for (const sel of removed) {
+            const target = owned.byVariant.get(variantKey(sel.cardId, sel.art, sel.foil));
+            if (!target || target.count - sel.count < 1) {
+                return { ok: false, error: `Not enough duplicates of ${sel.cardId}.` };
+            }
+        }
+
+        const points = getConversionPoints(removed);
+        const reward = getConversionReward(points);
+        if (!reward) return { ok: false, error: "Not enough points for a pack." };
+
+        // The newest copies go; the first acquisition stays on record
+        removed.forEach(sel => {
+            const row = owned.byVariant.get(variantKey(sel.cardId, sel.art, sel.foil));
+            row.count -= sel.count;
+            row.acquired.splice(row.count);
+        });
+        addPacks(reward.name, 1, 'conversion');
+        events.emit(GAME_EVENTS.CONVERSION_DONE, { points, packType: reward.name, removed });
+        return { ok: true, points, packType: reward.name };
+    }
+
+    function startExpedition(index) {
+        const data = EXPEDITION_DATA[index];
+        if (!data) return { ok: false, error: `No expedition in slot ${index}.` };
+        if (state.expeditions[index].status !== "empty") return { ok: false, error: "That team is already out." };
+
+        const expedition = { status: "out", slotIndex: index, endTs: now() + data.durationMs };
+        state.expeditions[index] = expedition;
+        events.emit(GAME_EVENTS.EXPEDITION_STARTED, { index, expedition });
+        return { ok: true, index, expedition };
+    }
+
+    function generateExpeditionRewards(index) {
+        const data = EXPEDITION_DATA[index];
+        const hitBonus = random() * 100 < data.bonusChance;
+        return {
+            type: "pack",
+            packType: hitBonus ? data.bonusPack : data.basePack,
+            count: 1
+        };
+    }
+
+    /**
+     * Completes any expeditions whose timer has run out.
+     * @returns {{ completed: number[] }} Slot indexes that just finished
+     */
+    function tick() {
+        if (readOnly) return { completed: [] };
+        const time = now();
+        const completed = [];
+        state.expeditions.forEach((exp, i) => {
+            if (exp.status === "out" && time >= exp.endTs) {
+                exp.status = "complete";
+                exp.rewards = generateExpeditionRewards(i);
+                completed.push(i);
+                events.emit(GAME_EVENTS.EXPEDITION_COMPLETED, { index: i, rewards: exp.rewards });
+            }
+        });
+        return { completed };
+    }
+
+    function claim(index) {
+        const exp = state.expeditions[index];
+        if (!exp || exp.status !== "complete") return { ok: false, error: "Nothing to claim yet." };
+
+        const rewards = exp.rewards;
+        if (rewards.type === "pack") addPacks(rewards.packType, rewards.count, 'expedition');
+
+        // Events add an Event pack to every expedition brought home while they run
+        const event = getActiveEvent();
+        if (event) addPacks(CONSTANTS.PACKS.EVENT, 1, 'expedition');
+
+        state.expeditions[index] = { status: "empty" };
+        events.emit(GAME_EVENTS.EXPEDITION_CLAIMED, { index, rewards });
+        return { ok: true, index, rewards, event };
+    }
+
+    /**
+     * Trades a SPECIAL_CODES code for its card or packs, once per save.
+     */
+    function redeemCode(code) {
+        const key = String(code || '').trim().toUpperCase();
+        if (!Object.prototype.hasOwnProperty.call(SPECIAL_CODES, key)) return { ok: false, error: "That code isn't valid." };
+        if (state.specials.codes.includes(key)) return { ok: false, error: "That code has already been redeemed." };
+
+        state.specials.codes.push(key);
+        const reward = SPECIAL_CODES[key];
+        if (reward.type === "pack") addPacks(reward.packType, reward.count, 'code');
+        else addCardsToInventory([{ cardId: reward.cardId, art: 0, foil: "normal", isNew: isCardIdNew(reward.cardId) }], 'code');
+        return { ok: true, code: key, reward };
+    }
+
+    /**
+     * Rolls a loot table (fishing, sifting) and applies the result.
+     * @param {Array} lootTable - e.g. FISHING_REWARDS
+     * @param {string} source - Reported with any cards, e.g. 'fishing'
+     */
+    function grantReward(lootTable, source) {
+        const reward = getWeightedRandom(lootTable, false, random);
+
+        if (reward.type === "pack") {
+            addPacks(reward.packType, 1, source);
+            return { ok: true, type: "pack", packType: reward.packType };
+        }
+        if (reward.type === "card") {
+            const cardId = getRandomCardOfRegion(reward.region);
+            if (!cardId) return { ok: true, type: "none", message: null };
+            const card = { cardId, art: 0, foil: "normal", isNew: isCardIdNew(cardId) };
+            addCardsToInventory([card], source);
+            return { ok: true, type: "card", card };
+        }
+        return { ok: true, type: "none", message: reward.message };
+    }
+
+    function setMuseumSlot(index, card) {
+        if (index < 0 || index >= state.museum.slots.length) return { ok: false, error: `No museum slot ${index}.` };
+        state.museum.slots[index] = card ? { cardId: card.cardId, art: card.art || 0, foil: card.foil || "normal" } : null;
+        events.emit(GAME_EVENTS.MUSEUM_CHANGED, { index, card: state.museum.slots[index] });
+        return { ok: true, index };
+    }
+
+    /**
+     * Restarts the random stream from a given seed (bug report reproduction).
+     */
+    function setSeed(seed) {
+        state.rng.seed = seed >>> 0;
+        state.rng.cursor = 0;
+        return { ok: true, seed: state.rng.seed };
+    }
+
+    /**
+     * Dev helper: overwrite the progression counters.
+     */
+    function setProgress(packsOpened, uniquesOwned) {
+        state.player.packsOpened = packsOpened;
+        state.player.uniquesOwned = uniquesOwned;
+        events.emit(GAME_EVENTS.PROGRESS_CHANGED, { packsOpened, uniquesOwned });
+        checkRegionUnlocks();
+        checkMilestones();
+        return { ok: true };
+    }
+
+    // --- Tab coordination ---
+
+    /**
+     * Swaps in a save written elsewhere (another tab). Emits nothing;
+     * the caller redraws everything afterwards.
+     */
+    function replaceState(newState) {
+        state = newState;
+        rng = createRng(state.rng);
+        owned = indexOwnedCards();
+        knownUnlocked = new Set(getUnlockedRegions());
+        unlockedPools = {};
+        return { ok: true };
+    }
+
+    function setReadOnly(flag) {
+        readOnly = !!flag;
+        return { ok: true, readOnly };
+    }
+
+    // Wraps an action so it is refused while read-only
+    function writable(action) {
+        return (...args) => readOnly
+            ? { ok: false, error: "This game is open in another tab. This tab is view-only." }
+            : action(...args);
+    }
+
+    return {
+        get state() { return state; },
+        get readOnly() { return readOnly; },
+        data: { cards, packs, regions, index: cardIndex },
+        events,
+
+        // Randomness (for UI draws such as minigame layouts)
+        random,
+        shuffle,
+
+        // Queries
+        getUniqueCardCount,
+        getUnlockedRegions,
+        isCardIdNew,
+        getConversionPoints,
+        getConversionReward,
+        getPackSlots,
+        getPityProgress,
+        getPackOdds,
+        getPackLock,
+        getActiveEvent,
+        getMilestones,
+        getSpecialSources,
+
+        // Actions
+        openPack: writable(openPack),
+        openPacks: writable(openPacks),
+        convert: writable(convert),
+        startExpedition: writable(startExpedition),
+        tick,
+        claim: writable(claim),
+        redeemCode: writable(redeemCode),
+        checkMilestones: writable(checkMilestones),
+        grantReward: writable(grantReward),
+        addPacks: writable(addPacks),
+        addCards: writable((newCards, source = 'dev') => { addCardsToInventory(newCards, source); return { ok: true, cards: newCards }; }),
+        setMuseumSlot: writable(setMuseumSlot),
+        setSeed: writable(setSeed),
+        setProgress: writable(setProgress),
+
+        // Tab coordination
+        replaceState,
+        setReadOnly
+    };
+}
+
+// --- 4. MASTER DATA VALIDATION ---
+
+/**
+ * Lists keys that appear more than once in the top-level object of a JSON text.
+ * JSON.parse silently keeps the last one, so this has to read the raw text.
+ */
+function findDuplicateTopLevelKeys(text) {
+    const seen = new Set();
+    const dupes = new Set();
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '{' || ch === '[') depth++;
+        else if (ch === '}' || ch === ']') depth--;
+        else if (ch === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+            const key = text.slice(i + 1, end);
+            i = end;
+            if (depth !== 1) continue;
+
+            const rest = text.slice(end + 1).trimStart();
+            if (!rest.startsWith(':')) continue;
+            if (seen.has(key)) dupes.add(key);
+            seen.add(key);
+        }
+    }
+    return [...dupes];
+}
+
+/**
+ * Checks one pack's optional pity rule (see getPityWeights in the engine).
+ */
+function validatePityRule(type, pity, lastSlotWeights, report) {
+    if (!pity || typeof pity !== 'object') {
+        report('packs.json', `"${type}.pity" must be an object.`);
+        return;
+    }
+    if (!RARITY_ORDER.includes(pity.rarity)) {
+        report('packs.json', `"${type}.pity" chases unknown rarity "${pity.rarity}".`);
+        return;
+    }
+    if (pity.guaranteeWithin === undefined && pity.softAfter === undefined) {
+        report('packs.json', `"${type}.pity" needs guaranteeWithin, softAfter or both.`);
+    }
+    if (pity.guaranteeWithin !== undefined && !(Number.isInteger(pity.guaranteeWithin) && pity.guaranteeWithin >= 1)) {
+        report('packs.json', `"${type}.pity.guaranteeWithin" must be a whole number of 1 or more.`);
+    }
+    if (pity.softAfter !== undefined) {
+        if (!(Number.isInteger(pity.softAfter) && pity.softAfter >= 0)) report('packs.json', `"${type}.pity.softAfter" must be a whole number of 0 or more.`);
+        if (!(pity.softBoost > 0)) report('packs.json', `"${type}.pity.softBoost" must be a number above 0.`);
+    }
+    if (pity.guaranteeWithin !== undefined && !RARITY_ORDER.some(r => isRarityAtLeast(r, pity.rarity) && lastSlotWeights[r] > 0)) {
+        report('packs.json', `"${type}.pity" guarantees "${pity.rarity}" or better, but the last slot gives those no weight.`);
+    }
+}
+
+/**
+ * Checks one pack's default weights, region filter, slots and pity rule (see getPackSlots in the engine).
+ */
+function validatePackRules(type, rules, cards, regions, report) {
+    const rarities = Object.values(CONSTANTS.RARITY);
+
+    function checkWeights(label, weights) {
+        if (!weights || typeof weights !== 'object') {
+            report('packs.json', `"${label}" must be an object of rarity weights.`);
+            return;
+        }
+        let total = 0;
+        for (const [rarity, weight] of Object.entries(weights)) {
+            if (!rarities.includes(rarity)) report('packs.json', `"${label}" has a weight for unknown rarity "${rarity}".`);
+            if (typeof weight !== 'number' || weight < 0) report('packs.json', `"${label}.${rarity}" must be a number of 0 or more.`);
+            else total += weight;
+            if (weight > 0 && !Object.values(cards).some(c => c.rarity === rarity)) {
+                report('packs.json', `"${label}" can roll "${rarity}" but no card has that rarity.`);
+            }
+        }
+        if (Math.abs(total - 100) > 1e-9) report('packs.json', `"${label}" adds up to ${total}, not 100.`);
+    }
+
+    if (rules.weights !== undefined) checkWeights(`${type}.weights`, rules.weights);
+    if (rules.regions !== undefined) {
+        if (!Array.isArray(rules.regions) || rules.regions.length === 0) {
+            report('packs.json', `"${type}.regions" must be a non-empty list of region IDs.`);
+        } else {
+            rules.regions.filter(id => !regions[id]).forEach(id => report('packs.json', `"${type}.regions" lists "${id}", which is not in regions.json.`));
+            // Rolls for rarities the regions lack fall back to their commons
+            if (!Object.values(cards).some(c => c.rarity === CONSTANTS.RARITY.COMMON && rules.regions.includes(c.region))) {
+                report('packs.json', `"${type}.regions" has no common card to fall back on.`);
+            }
+        }
+    }
+    if (!Array.isArray(rules.slots) || rules.slots.length === 0) {
+        report('packs.json', `"${type}" needs a non-empty "slots" list.`);
+        return;
+    }
+
+    rules.slots.forEach((slot, i) => {
+        const label = `${type}.slots[${i}]`;
+        if (slot.count !== undefined && !(Number.isInteger(slot.count) && slot.count >= 1)) {
+            report('packs.json', `"${label}.count" must be a whole number of 1 or more.`);
+        }
+        if (slot.unowned !== undefined) {
+            if (slot.unowned !== true) report('packs.json', `"${label}.unowned" can only be true.`);
+            if (slot.eventSpecial) report('packs.json', `"${label}" can't be both unowned and eventSpecial.`);
+        }
+        if (slot.eventSpecial !== undefined) {
+            if (slot.eventSpecial !== true) report('packs.json', `"${label}.eventSpecial" can only be true.`);
+            if (slot.weights !== undefined) report('packs.json', `"${label}" is an eventSpecial slot, so its weights would never be used.`);
+        } else if (slot.weights !== undefined) checkWeights(`${label}.weights`, slot.weights);
+        else if (rules.weights === undefined) report('packs.json', `"${label}" has no weights and "${type}" has no default weights.`);
+        if (slot.foilChance !== undefined && !(typeof slot.foilChance === 'number' && slot.foilChance >= 0 && slot.foilChance <= 100)) {
+            report('packs.json', `"${label}.foilChance" must be a number from 0 to 100.`);
+        }
+        if (slot.artChances !== undefined) {
+            const art = slot.artChances;
+            const valid = Array.isArray(art) && art.length === 3 && art.every(n => typeof n === 'number' && n >= 0);
+            if (!valid || Math.abs(art[0] + art[1] + art[2] - 100) > 1e-9) {
+                report('packs.json', `"${label}.artChances" must be three numbers [normal, alt 1, alt 2] adding up to 100.`);
+            }
+        }
+    });
+
+    if (rules.pity !== undefined) {
+        const lastSlot = rules.slots[rules.slots.length - 1];
+        validatePityRule(type, rules.pity, lastSlot.weights || rules.weights || {}, report);
+    }
+}
+
+/**
+ * Checks cards.json, packs.json and regions.json against the CONSTANTS
+ * enums and against each other.
+ * @param {Object} data - { cards, packs, regions } as parsed
+ * @param {Object} [rawText] - { cards, packs, regions } source text, for duplicate ID checks
+ * @returns {Array<{file: string, message: string}>} Every problem found; empty when valid
+ */
+function validateMasterData(data, rawText = {}) {
+    const problems = [];
+    const report = (file, message) => problems.push({ file, message });
+    const rarities = Object.values(CONSTANTS.RARITY);
+    const packTypes = Object.values(CONSTANTS.PACKS);
+    const { cards, packs, regions } = data;
+
+    ['cards', 'packs', 'regions'].forEach(name => {
+        if (!data[name] || typeof data[name] !== 'object' || Array.isArray(data[name])) {
+            report(`${name}.json`, "must be an object keyed by ID.");
+        }
+        if (rawText[name]) {
+            findDuplicateTopLevelKeys(rawText[name]).forEach(id => report(`${name}.json`, `"${id}" is defined more than once.`));
+        }
+    });
+    if (problems.length > 0 && (!cards || !packs || !regions)) return problems;
+
+    // Regions
+    for (const [id, region] of Object.entries(regions)) {
+        if (!Object.values(CONSTANTS.REGIONS).includes(id)) report('regions.json', `"${id}" is not listed in CONSTANTS.REGIONS.`);
+        if (!region.name) report('regions.json', `"${id}" has no name.`);
+        const unlock = region.unlock;
+        if (!unlock || !['packs', 'unique'].includes(unlock.type) || !(unlock.value >= 0)) {
+            report('regions.json', `"${id}" needs an unlock of type "packs" or "unique" with a value of 0 or more.`);
+        }
+    }
+    Object.values(CONSTANTS.REGIONS)
+        .filter(id => !regions[id])
+        .forEach(id => report('regions.json', `"${id}" from CONSTANTS.REGIONS is missing.`));
+
+    // Cards
+    for (const [id, card] of Object.entries(cards)) {
+        if (!card.name) report('cards.json', `"${id}" has no name.`);
+        if (!rarities.includes(card.rarity)) report('cards.json', `"${id}" has unknown rarity "${card.rarity}".`);
+        if (!regions[card.region]) report('cards.json', `"${id}" is in region "${card.region}", which is not in regions.json.`);
+    }
+
+    // The common fallback in getRandomCardOfRarity needs a common from the starting regions
+    const startRegions = Object.keys(regions).filter(id => regions[id].unlock && regions[id].unlock.value === 0);
+    const hasStartCommon = Object.values(cards).some(c => c.rarity === CONSTANTS.RARITY.COMMON && startRegions.includes(c.region));
+    if (!hasStartCommon) report('cards.json', "No common card exists in a region unlocked from the start.");
+
+    // Packs
+    for (const [type, rules] of Object.entries(packs)) {
+        if (!packTypes.includes(type)) report('packs.json', `"${type}" is not listed in CONSTANTS.PACKS.`);
+        validatePackRules(type, rules, cards, regions, report);
+    }
+    packTypes
+        .filter(type => !packs[type])
+        .forEach(type => report('packs.json', `"${type}" from CONSTANTS.PACKS is missing.`));
+
+    // Rules that point into the data files
+    PACK_THRESHOLDS.forEach(t => {
+        if (!packs[t.name]) report('packs.json', `Conversion reward "${t.name}" is not a pack.`);
+    });
+    EXPEDITION_DATA.forEach(exp => {
+        [exp.basePack, exp.bonusPack].forEach(type => {
+            if (!packs[type]) report('packs.json', `${exp.name} rewards "${type}", which is not a pack.`);
+        });
+    });
+    [['Fishing', FISHING_REWARDS], ['Sifting', SIFTING_REWARDS]].forEach(([name, table]) => {
+        table.forEach(reward => {
+            if (reward.type === "pack" && !packs[reward.packType]) report('packs.json', `${name} rewards "${reward.packType}", which is not a pack.`);
+            if (reward.type === "card" && !regions[reward.region]) report('regions.json', `${name} rewards cards from "${reward.region}", which is not a region.`);
+        });
+    });
+
+    // Special sources: each must hand out real special cards, and every special needs one
+    const earnable = new Set();
+    const checkSpecial = (cardId, what) => {
+        if (!cards[cardId]) report('cards.json', `${what} gives "${cardId}", which is not a card.`);
+        else if (cards[cardId].rarity !== CONSTANTS.RARITY.SPECIAL) report('cards.json', `${what} gives "${cardId}", which is not a special card.`);
+        earnable.add(cardId);
+    };
+    const isDay = (text) => /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(text);
+    SPECIAL_EVENTS.forEach(event => {
+        if (!isDay(event.start) || !isDay(event.end)) report('cards.json', `${event.name} needs start and end dates as "MM-DD".`);
+        event.cards.forEach(cardId => checkSpecial(cardId, event.name));
+    });
+    SPECIAL_MILESTONES.forEach(m => checkSpecial(m.cardId, `Milestone "${m.label}"`));
+    for (const [code, reward] of Object.entries(SPECIAL_CODES)) {
+        if (reward.type === "card") checkSpecial(reward.cardId, `Code ${code}`);
+        else if (!packs[reward.packType]) report('packs.json', `Code ${code} rewards "${reward.packType}", which is not a pack.`);
+    }
+    Object.keys(cards)
+        .filter(id => cards[id].rarity === CONSTANTS.RARITY.SPECIAL && !earnable.has(id))
+        .forEach(id => report('cards.json', `"${id}" is special but no event, milestone or code gives it.`));
+
+    return problems;
+}
+
+// --- 5. NODE EXPORTS ---
+// In the browser these are plain globals shared with script.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONSTANTS,
+        RARITY_ORDER,
+        CONVERSION_POINTS,
+        PACK_THRESHOLDS,
+        EXPEDITION_DATA,
+        FISHING_REWARDS,
+        WILD_RARITY_CHANCE,
+        SIFTING_REWARDS,
+        UNLOCK_GOALS,
+        VARIANT_RATES,
+        MUSEUM_SLOT_COUNT,
+        SPECIAL_EVENTS,
+        SPECIAL_MILESTONES,
+        SPECIAL_CODES,
+        PULL_LOG_LIMIT,
+        GAME_EVENTS,
+        SCHEMA_VERSION,
+        getWeightedRandom,
+        createRng,
+        createSeed,
+        createEventBus,
+        isRarityAtLeast,
+        createDefaultState,
+        findActiveEvent,
+        buildCardIndex,
+        variantKey,
+        createGameEngine,
+        findDuplicateTopLevelKeys,
+        validateMasterData
+    };
+}
@@ -0,0 +1,450 @@
+/*
+================================================================================
+SAVE FORMAT (save.js)
+Schema migrations and validation for the rockGameState save.
+Headless like engine.js, and loaded right after it.
+================================================================================
+*/
+
+// Node has no shared script scope; expose the engine's globals the way the browser does.
+if (typeof module !== 'undefined' && module.exports) Object.assign(globalThis, require('./engine.js'));
+
+// --- 1. MIGRATIONS ---
+
+/**
+ * Ordered upgrade steps. Each one takes a save at `version - 1` and
+ * mutates it into `version`. Steps are frozen history: never edit one
+ * that has shipped, add a new step and bump SCHEMA_VERSION instead.
+ */
+const SAVE_MIGRATIONS = [
+    {
+        version: 1,
+        description: "Fill in sections missing from pre-versioning saves",
+        migrate(state) {
+            const packKeys = ["basic", "explorer", "advanced", "deluxe", "collector"];
+
+            if (!state.player) state.player = { packsOpened: 0, uniquesOwned: 0 };
+            if (!state.player.packsInventory) state.player.packsInventory = { basic: 5 };
+            packKeys.forEach(key => {
+                if (!state.player.packsInventory.hasOwnProperty(key)) state.player.packsInventory[key] = 0;
+            });
+            if (!state.inventory) state.inventory = { cards: [] };
+            if (!state.museum) state.museum = { background: 'bg-forest', frame: 'frame-1', slots: new Array(6).fill(null) };
+            if (!state.expeditions) state.expeditions = [{ status: "empty" }, { status: "empty" }, { status: "empty" }];
+            if (!state.rng) state.rng = { seed: createSeed(), cursor: 0 };
+        }
+    },
+    {
+        version: 2,
+        description: "Normalise fishing/sifting cards saved as { variant: 'normal' } without art/foil",
+        migrate(state) {
+            const merged = [];
+            const byKey = {};
+
+            state.inventory.cards.forEach(card => {
+                const art = card.art || 0;
+                const foil = card.foil || (card.variant === "foil" ? "foil" : "normal");
+                const key = `${card.cardId}|${art}|${foil}`;
+                const count = card.count || 1;
+
+                if (byKey[key]) byKey[key].count += count;
+                else {
+                    byKey[key] = { cardId: card.cardId, art, foil, count };
+                    merged.push(byKey[key]);
+                }
+            });
+
+            state.inventory.cards = merged;
+            state.player.uniquesOwned = new Set(merged.map(c => c.cardId)).size;
+        }
+    },
+    {
+        version: 3,
+        description: "Add per-pack pity counters",
+        migrate(state) {
+            if (!state.player.pity) state.player.pity = {};
+        }
+    },
+    {
+        version: 4,
+        description: "Add the pull log and per-pack drop statistics",
+        migrate(state) {
+            if (!Array.isArray(state.pullLog)) state.pullLog = [];
+            if (!state.pullStats) state.pullStats = {};
+        }
+    },
+    {
+        version: 5,
+        description: "Add Event packs and the record of special milestones and codes",
+        migrate(state) {
+            if (!state.player.packsInventory.hasOwnProperty("event")) state.player.packsInventory.event = 0;
+            if (!state.specials) state.specials = { milestones: [], codes: [] };
+        }
+    },
+    {
+        version: 6,
+        description: "Add the Riverbed and Desert region packs",
+        migrate(state) {
+            ["riverbed", "desert"].forEach(key => {
+                if (!state.player.packsInventory.hasOwnProperty(key)) state.player.packsInventory[key] = 0;
+            });
+        }
+    },
+    {
+        version: 7,
+        description: "Backfill per-copy acquisition history from the pull log",
+        migrate(state) {
+            // Packs still in the log name their copies; anything older is marked unknown
+            const logged = {};
+            state.pullLog.forEach(entry => {
+                entry.cards.forEach(card => {
+                    const key = `${card.cardId}|${card.art || 0}|${card.foil || "normal"}`;
+                    (logged[key] = logged[key] || []).push({ at: entry.at, source: "pack", packType: entry.packType });
+                });
+            });
+
+            state.inventory.cards.forEach(card => {
+                if (Array.isArray(card.acquired)) return;
+                const fromLog = (logged[`${card.cardId}|${card.art}|${card.foil}`] || []).slice(0, card.count);
+                const unknown = Array.from({ length: card.count - fromLog.length }, () => ({ at: null, source: "unknown" }));
+                card.acquired = [...unknown, ...fromLog];
+            });
+        }
+    },
+    {
+        version: 8,
+        description: "Start recording where unopened packs came from",
+        migrate(state) {
+            // Packs already held stay without an origin
+            if (!state.player.packOrigins) state.player.packOrigins = {};
+        }
+    }
+];
+
+/**
+ * Runs every migration newer than the save's schemaVersion, in order.
+ * Saves written before versioning existed count as version 0.
+ * @returns {Object} The same (mutated) save
+ */
+function migrateSave(state) {
+    const from = state.schemaVersion || 0;
+    SAVE_MIGRATIONS
+        .filter(step => step.version > from)
+        .sort((a, b) => a.version - b.version)
+        .forEach(step => {
+            step.migrate(state);
+            state.schemaVersion = step.version;
+        });
+    return state;
+}
+
+// --- 2. VALIDATION ---
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks a migrated save against the current schema.
+ * With masterData, card and pack IDs must also exist in cards.json/packs.json,
+ * so a save the game can't render is sent to recovery instead of crashing the UI.
+ * @param {Object} state
+ * @param {{cards: Object, packs: Object}} [masterData]
+ * @returns {string[]} Human-readable problems; empty when the save is sound
+ */
+function validateSave(state, masterData = null) {
+    const errors = [];
+    if (!state || typeof state !== 'object') return ["Save is not an object."];
+
+    if (state.schemaVersion !== SCHEMA_VERSION) errors.push(`schemaVersion is ${state.schemaVersion}, expected ${SCHEMA_VERSION}.`);
+
+    if (!state.rng || !isCount(state.rng.seed) || !isCount(state.rng.cursor)) errors.push("rng must have a numeric seed and cursor.");
+
+    const player = state.player;
+    if (!player || typeof player !== 'object') {
+        errors.push("player section is missing.");
+    } else {
+        if (!isCount(player.packsOpened)) errors.push("player.packsOpened must be a whole number.");
+        if (!player.packsInventory || typeof player.packsInventory !== 'object') errors.push("player.packsInventory is missing.");
+        else {
+            for (const [type, count] of Object.entries(player.packsInventory)) {
+                if (!isCount(count)) errors.push(`packsInventory.${type} must be a whole number.`);
+                else if (masterData && !masterData.packs[type]) errors.push(`packsInventory.${type} is not a known pack.`);
+            }
+        }
+        if (!player.packOrigins || typeof player.packOrigins !== 'object') errors.push("player.packOrigins is missing.");
+        else {
+            for (const [type, runs] of Object.entries(player.packOrigins)) {
+                if (!Array.isArray(runs) || !runs.every(r => r && typeof r.origin === 'string' && isCount(r.count) && r.count > 0)) {
+                    errors.push(`packOrigins.${type} must list { origin, count } runs.`);
+                } else if (player.packsInventory && runs.reduce((sum, r) => sum + r.count, 0) > (player.packsInventory[type] || 0)) {
+                    errors.push(`packOrigins.${type} covers more packs than are held.`);
+                }
+            }
+        }
+        if (!player.pity || typeof player.pity !== 'object') errors.push("player.pity is missing.");
+        else {
+            for (const [type, misses] of Object.entries(player.pity)) {
+                if (!isCount(misses)) errors.push(`pity.${type} must be a whole number.`);
+            }
+        }
+    }
+
+    if (!state.inventory || !Array.isArray(state.inventory.cards)) {
+        errors.push("inventory.cards must be a list.");
+    } else {
+        state.inventory.cards.forEach((card, i) => {
+            if (!card || typeof card.cardId !== 'string') errors.push(`inventory.cards[${i}] has no cardId.`);
+            else if (masterData && !masterData.cards[card.cardId]) errors.push(`inventory.cards[${i}] (${card.cardId}) is not a known rock.`);
+            else if (![0, 1, 2].includes(card.art) || !["normal", "foil"].includes(card.foil) || !isCount(card.count)) {
+                errors.push(`inventory.cards[${i}] (${card.cardId}) has an invalid art, foil or count.`);
+            } else if (!Array.isArray(card.acquired) || card.acquired.length !== card.count
+                || !card.acquired.every(a => a && typeof a.source === 'string' && (a.at === null || typeof a.at === 'number'))) {
+                errors.push(`inventory.cards[${i}] (${card.cardId}) needs one acquisition record per copy.`);
+            }
+        });
+    }
+
+    if (!Array.isArray(state.expeditions) || state.expeditions.length !== EXPEDITION_DATA.length) {
+        errors.push(`expeditions must list ${EXPEDITION_DATA.length} slots.`);
+    } else {
+        state.expeditions.forEach((exp, i) => {
+            if (!exp || !["empty", "out", "complete"].includes(exp.status)) errors.push(`expeditions[${i}] has an unknown status.`);
+            else if (exp.status === "out" && typeof exp.endTs !== 'number') errors.push(`expeditions[${i}] is out with no end time.`);
+            else if (exp.status === "complete" && !exp.rewards) errors.push(`expeditions[${i}] is complete with no rewards.`);
+        });
+    }
+
+    if (!state.museum || !Array.isArray(state.museum.slots)) {
+        errors.push("museum.slots must be a list.");
+    } else {
+        state.museum.slots.forEach((slot, i) => {
+            if (slot === null) return;
+            if (!slot || typeof slot.cardId !== 'string') errors.push(`museum.slots[${i}] has no cardId.`);
+            else if (masterData && !masterData.cards[slot.cardId]) errors.push(`museum.slots[${i}] (${slot.cardId}) is not a known rock.`);
+        });
+    }
+
+    if (!Array.isArray(state.pullLog)) errors.push("pullLog must be a list.");
+    if (!state.pullStats || typeof state.pullStats !== 'object') errors.push("pullStats is missing.");
+
+    if (!state.specials || !Array.isArray(state.specials.milestones) || !Array.isArray(state.specials.codes)) {
+        errors.push("specials must list the milestones and codes already rewarded.");
+    }
+
+    return errors;
+}
+
+/**
+ * Turns raw stored text into a current, validated save.
+ * @param {string} raw - JSON as written by saveState()
+ * @param {{cards: Object, packs: Object}} [masterData] - Checks IDs too (see validateSave)
+ * @returns {{ok: true, state: Object, migrated: boolean} | {ok: false, error: string, details: string[]}}
+ */
+function parseSave(raw, masterData = null) {
+    let state;
+    try {
+        state = JSON.parse(raw);
+    } catch (e) {
+        return { ok: false, error: "The save is not readable JSON.", details: [e.message] };
+    }
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return { ok: false, error: "The save is not a game state.", details: [] };
+    }
+
+    const from = state.schemaVersion || 0;
+    if (from > SCHEMA_VERSION) {
+        return { ok: false, error: `The save comes from a newer version of the game (schema ${from}).`, details: [] };
+    }
+
+    try {
+        migrateSave(state);
+    } catch (e) {
+        return { ok: false, error: `Upgrading the save from schema ${from} failed.`, details: [e.message] };
+    }
+
+    const details = validateSave(state, masterData);
+    if (details.length > 0) return { ok: false, error: "The save failed validation.", details };
+
+    return { ok: true, state, migrated: from !== SCHEMA_VERSION };
+}
+
+// --- 3. EXPORT & IMPORT ---
+
+const SAVE_CODE_PREFIX = "ROCK";
+const SAVE_CODE_COMPRESSED_PREFIX = "ROCKZ"; // ROCK<schema> codes are plain base64 JSON
+
+/**
+ * FNV-1a hash of a string, as 8 hex digits. Catches typos, not tampering.
+ */
+function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+function base64ToBytes(encoded) {
+    return Uint8Array.from(atob(encoded), ch => ch.charCodeAt(0));
+}
+
+// CompressionStream and Blob.stream() are missing from older browsers
+function canCompressSaveCodes() {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function'
+        && typeof Blob === 'function' && typeof Blob.prototype.stream === 'function';
+}
+
+async function deflateText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function inflateText(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+/**
+ * The whole save, with its two long lists written as tuples: pull log entries
+ * become [at, packType, [[cardId, art, foil, isNew]]] and acquisition records
+ * [at, source, packType?, origin?]. expandSaveFromCode() reverses it.
+ */
+function compactSaveForCode(state) {
+    return {
+        ...state,
+        pullLog: state.pullLog.map(entry => [
+            entry.at,
+            entry.packType,
+            entry.cards.map(c => [c.cardId, c.art, c.foil, c.isNew ? 1 : 0])
+        ]),
+        inventory: {
+            ...state.inventory,
+            cards: state.inventory.cards.map(card => ({
+                ...card,
+                acquired: card.acquired.map(a => {
+                    if (!a.packType) return [a.at, a.source];
+                    return a.origin ? [a.at, a.source, a.packType, a.origin] : [a.at, a.source, a.packType];
+                })
+            }))
+        }
+    };
+}
+
+function expandSaveFromCode(state) {
+    if (Array.isArray(state.pullLog)) {
+        state.pullLog = state.pullLog.map(([at, packType, cards]) => ({
+            at,
+            packType,
+            cards: cards.map(([cardId, art, foil, isNew]) => ({ cardId, art, foil, isNew: isNew === 1 }))
+        }));
+    }
+    const cards = state.inventory && Array.isArray(state.inventory.cards) ? state.inventory.cards : [];
+    cards.forEach(card => {
+        if (!Array.isArray(card.acquired)) return;
+        card.acquired = card.acquired.map(([at, source, packType, origin]) => {
+            if (!packType) return { at, source };
+            return origin ? { at, source, packType, origin } : { at, source, packType };
+        });
+    });
+    return state;
+}
+
+/**
+ * Packs a save into a single pasteable line: ROCKZ<schema>.<base64 deflated json>.<checksum>
+ * (see compactSaveForCode). Browsers that can't compress get the longer
+ * ROCK<schema>.<base64 json>.<checksum> form, which every version reads.
+ * @returns {Promise<string>}
+ */
+async function encodeSaveCode(state) {
+    if (!canCompressSaveCodes()) {
+        const plain = bytesToBase64(new TextEncoder().encode(JSON.stringify(state)));
+        return `${SAVE_CODE_PREFIX}${state.schemaVersion}.${plain}.${checksum(plain)}`;
+    }
+    const body = bytesToBase64(await deflateText(JSON.stringify(compactSaveForCode(state))));
+    return `${SAVE_CODE_COMPRESSED_PREFIX}${state.schemaVersion}.${body}.${checksum(body)}`;
+}
+
+/**
+ * Reverses encodeSaveCode and checks the checksum. Also reads the older
+ * uncompressed ROCK<schema> codes.
+ * @returns {Promise<{ok: true, raw: string} | {ok: false, error: string, details: string[]}>}
+ */
+async function decodeSaveCode(code) {
+    const parts = code.replace(/\s+/g, '').split('.');
+    if (parts.length !== 3 || !parts[0].startsWith(SAVE_CODE_PREFIX)) {
+        return { ok: false, error: "That doesn't look like a save code.", details: [] };
+    }
+
+    const [head, body, sum] = parts;
+    if (checksum(body) !== sum.toLowerCase()) {
+        return { ok: false, error: "The save code is incomplete or mistyped (checksum mismatch).", details: [] };
+    }
+
+    try {
+        if (!head.startsWith(SAVE_CODE_COMPRESSED_PREFIX)) return { ok: true, raw: new TextDecoder().decode(base64ToBytes(body)) };
+        if (!canCompressSaveCodes()) {
+            return { ok: false, error: "This browser can't read compressed save codes. Import a save file instead.", details: [] };
+        }
+        const state = expandSaveFromCode(JSON.parse(await inflateText(base64ToBytes(body))));
+        return { ok: true, raw: JSON.stringify(state) };
+    } catch (e) {
+        return { ok: false, error: "The save code could not be decoded.", details: [e.message] };
+    }
+}
+
+function describeSave(state) {
+    const cards = state.inventory.cards;
+    return {
+        unique: new Set(cards.filter(c => c.count > 0).map(c => c.cardId)).size,
+        copies: cards.reduce((sum, c) => sum + c.count, 0),
+        packsOpened: state.player.packsOpened,
+        packs: state.player.packsInventory,
+        expeditions: state.expeditions.filter(e => e.status !== "empty").length,
+        museum: state.museum.slots.filter(Boolean).length
+    };
+}
+
+/**
+ * Side-by-side summary of what an import would change.
+ * @returns {Array<{label: string, current: number, incoming: number}>}
+ */
+function summarizeSaveDiff(current, incoming) {
+    const a = describeSave(current);
+    const b = describeSave(incoming);
+    const rows = [
+        { label: "Unique rocks", current: a.unique, incoming: b.unique },
+        { label: "Total cards", current: a.copies, incoming: b.copies },
+        { label: "Packs opened", current: a.packsOpened, incoming: b.packsOpened }
+    ];
+
+    const packTypes = new Set([...Object.keys(a.packs), ...Object.keys(b.packs)]);
+    packTypes.forEach(type => {
+        rows.push({ label: `${type} packs`, current: a.packs[type] || 0, incoming: b.packs[type] || 0 });
+    });
+
+    rows.push({ label: "Active expeditions", current: a.expeditions, incoming: b.expeditions });
+    rows.push({ label: "Museum exhibits", current: a.museum, incoming: b.museum });
+    return rows;
+}
+
+// --- 4. NODE EXPORTS ---
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAVE_MIGRATIONS,
+        migrateSave,
+        validateSave,
+        parseSave,
+        checksum,
+        encodeSaveCode,
+        decodeSaveCode,
+        summarizeSaveDiff
+    };
+}
@@ -5,145 +5,8 @@ Refactored Phase 2: The Core Loop (Cleaned & Optimized)
 ================================================================================
 */
 
-// --- 1. GLOBAL VARIABLES & CONSTANTS ---
-
-/**
- * CONSTANTS
- * Centralized strings to prevent typos and allow easy changes.
- */
-const CONSTANTS = {
-    RARITY: {
-        COMMON: "common",
-        UNCOMMON: "uncommon",
-        RARE: "rare",
-        MYTHIC: "mythic",
-        LEGENDARY: "legendary",
-        SPECIAL: "special"
-    },
-    PACKS: {
-        BASIC: "basic",
-        EXPLORER: "explorer",
-        ADVANCED: "advanced",
-        DELUXE: "deluxe",
-        COLLECTOR: "collector"
-    },
-    REGIONS: {
-        RIVERBED: "riverbed",
-        GRASSLAND: "grassland",
-        FOREST: "forest",
-        DESERT: "desert",
-        COAST: "coast",
-        MOUNTAIN: "mountain",
-        CAVE: "cave",
-        VOLCANIC: "volcanic",
-        URBAN: "urban",
-        GLACIAL: "glacial",
-        ABYSS: "abyss",
-        ETHEREAL: "ethereal",
-        COSMIC: "cosmic"
-    }
-};
-
-// Ordered from RAREST to MOST COMMON for logic checks
-const RARITY_ORDER = [
-    CONSTANTS.RARITY.SPECIAL,
-    CONSTANTS.RARITY.LEGENDARY,
-    CONSTANTS.RARITY.MYTHIC,
-    CONSTANTS.RARITY.RARE,
-    CONSTANTS.RARITY.UNCOMMON,
-    CONSTANTS.RARITY.COMMON
-];
-
-// Conversion point values
-const CONVERSION_POINTS = {
-    [CONSTANTS.RARITY.COMMON]: 1,
-    [CONSTANTS.RARITY.UNCOMMON]: 3,
-    [CONSTANTS.RARITY.RARE]: 10,
-    [CONSTANTS.RARITY.MYTHIC]: 30,
-    [CONSTANTS.RARITY.LEGENDARY]: 100,
-    [CONSTANTS.RARITY.SPECIAL]: 0
-};
-
-// Point thresholds for pack conversion
-const PACK_THRESHOLDS = [
-    { name: CONSTANTS.PACKS.COLLECTOR, points: 1000 },
-    { name: CONSTANTS.PACKS.DELUXE, points: 250 },
-    { name: CONSTANTS.PACKS.ADVANCED, points: 100 },
-    { name: CONSTANTS.PACKS.EXPLORER, points: 30 },
-    { name: CONSTANTS.PACKS.BASIC, points: 10 }
-];
-
-// Expedition Data
-const EXPEDITION_DATA = [
-    {
-        name: "Short Expedition",
-        durationMs: 5 * 60 * 1000, // 5 minutes
-        durationText: "5m",
-        basePack: CONSTANTS.PACKS.BASIC,
-        bonusPack: CONSTANTS.PACKS.EXPLORER,
-        bonusChance: 5,
-        image: "images/expeditions/exp-short.png"
-    },
-    {
-        name: "Medium Expedition",
-        durationMs: 60 * 60 * 1000, // 60 minutes
-        durationText: "1h",
-        basePack: CONSTANTS.PACKS.EXPLORER,
-        bonusPack: CONSTANTS.PACKS.ADVANCED,
-        bonusChance: 5,
-        image: "images/expeditions/exp-medium.png"
-    },
-    {
-        name: "Long Expedition",
-        durationMs: 8 * 60 * 60 * 1000, // 8 hours
-        durationText: "8h",
-        basePack: CONSTANTS.PACKS.ADVANCED,
-        bonusPack: CONSTANTS.PACKS.DELUXE,
-        bonusChance: 5,
-        image: "images/expeditions/exp-long.png"
-    }
-];
-
-// Loot Tables
-const FISHING_REWARDS = [
-    { type: "pack", packType: CONSTANTS.PACKS.ADVANCED, chance: 1 },
-    { type: "pack", packType: CONSTANTS.PACKS.EXPLORER, chance: 4 },
-    { type: "pack", packType: CONSTANTS.PACKS.BASIC, chance: 35 },
-    { type: "card", region: CONSTANTS.REGIONS.RIVERBED, chance: 30 },
-    { type: "none", message: "An old boot...", chance: 30 }
-];
-
-const WILD_RARITY_CHANCE = [
-    { rarity: CONSTANTS.RARITY.LEGENDARY, chance: 0.2 },
-    { rarity: CONSTANTS.RARITY.MYTHIC, chance: 0.5 },
-    { rarity: CONSTANTS.RARITY.RARE, chance: 9.3 },
-    { rarity: CONSTANTS.RARITY.UNCOMMON, chance: 20 },
-    { rarity: CONSTANTS.RARITY.COMMON, chance: 70 }
-];
-
-const SIFTING_REWARDS = [
-    { type: "pack", packType: CONSTANTS.PACKS.ADVANCED, chance: 1 },
-    { type: "pack", packType: CONSTANTS.PACKS.EXPLORER, chance: 4 },
-    { type: "pack", packType: CONSTANTS.PACKS.BASIC, chance: 35 },
-    { type: "card", region: CONSTANTS.REGIONS.DESERT, chance: 30 },
-    { type: "none", message: "Just sand...", chance: 30 }
-];
-
-// Progression Goals
-const UNLOCK_GOALS = {
-    FOIL: { type: "packs", value: 50 },
-    ALT_ART_1: { type: "unique", value: 100 },
-    ALT_ART_2: { type: "unique", value: 200 }
-};
-
-const VARIANT_RATES = {
-    FOIL_CHANCE: 1,
-    ART_CHANCES: {
-        LOCKED: [100, 0, 0],
-        ALT_1_UNLOCKED: [99, 1, 0],
-        ALT_2_UNLOCKED: [98, 1, 1]
-    }
-};
+// --- 1. GLOBAL VARIABLES ---
+// Rules and constants live in engine.js, which is loaded first.
 
 const MINIGAME_ROCK_LIST = [
     'rock-001', 'rock-002', 'rock-021', 'rock-022', 
@@ -151,21 +14,35 @@ const MINIGAME_ROCK_LIST = [
     'rock-020', 'rock-161', 'rock-179', 'rock-025'
 ];
 
-/** * GAME STATE 
+/** * GAME ENGINE 
+ * Owns the game state; see engine.js. The panels below only render it.
  */
-let gameState = {}; 
+let engine = null;
+let activeProfileId = null;
+let gameInitialized = false;
+let bootInProgress = false;
+let masterDataVersion = null; // checksum of the three data files, shared with sw.js
+let gameStorage = null; // see storage.js
+let tabIsMirror = false; // another tab holds this profile's save (see tabs.js)
+let writerRole = null;   // from electWriter(); confirm() re-checks the role before each commit
 
 // Master Data Holders
 let allCardsData = {};
 let allPacksData = {};
 let allRegionsData = {};
+let cardIndex = null; // lookups by rarity/region, see buildCardIndex()
 
 // UI State
 let isCardDragActive = false;
 let gameTickInterval = null;
 let currentArchiveSort = 'name-asc';
+let archiveFilters = null; // see loadArchiveFilters()
+let archiveMode = 'collection'; // 'collection' or 'rockdex', see setArchiveMode()
+let lastVisitAt = 0; // when this profile was last played, see initLastVisit()
 let conversionSelection = [];
 let leavingPacksPanel = false;
+let packReveal = null; // { cards, revealed, dealt } while the pack reveal is running
+let cardDetail = null; // { entries, index, art, foil } while the card detail modal is open
 
 // Minigame State Grouping
 const minigameState = {
@@ -183,57 +60,118 @@ const minigameState = {
 
 // --- 2. CORE UTILITIES ---
 
+// UI art worth having before the first panel draws (pack icons are added at boot)
+const PRELOAD_IMAGES = [
+    'images/ui/game-title.png',
+    'images/ui/nav-archive.png',
+    'images/ui/nav-museum.png',
+    'images/ui/nav-packs.png',
+    'images/ui/nav-expeditions.png',
+    'images/ui/nav-devtools.png'
+];
+
 /**
- * Generic weighted random selector.
- * Replaces repetitive loops for packs, fishing, and sifting.
- * @param {Array|Object} items - Array of objects with 'chance' OR Pack Rules object
- * @param {boolean} isPackRules - Set to true if passing a pack rules object
+ * Boot sequence: loading screen -> data files -> images -> profile picker -> initGame.
+ * Safe to call again from the Retry button after a failure.
  */
-function getWeightedRandom(items, isPackRules = false) {
-    let pool = [];
-    
-    // Normalize input
-    if (isPackRules) {
-        // Convert {common: 80, rare: 5} to standard format
-        // Iterate RARITY_ORDER to maintain priority if needed
-        RARITY_ORDER.forEach(rarity => {
-            if (items[rarity]) {
-                pool.push({ value: rarity, weight: items[rarity] });
-            }
-        });
-    } else {
-        // Handle array like FISHING_REWARDS [{type:..., chance: 30}, ...]
-        pool = items.map(item => ({ value: item, weight: item.chance }));
-    }
+async function bootstrap() {
+    if (bootInProgress || gameInitialized) return;
+    bootInProgress = true;
 
-    const roll = Math.random() * 100;
-    let cumulative = 0;
+    const screen = document.getElementById('loading-screen');
+    const errorBox = document.getElementById('loading-error');
+    errorBox.style.display = 'none';
+    screen.style.display = 'flex';
+    setLoadingProgress("Loading game data...", 0);
 
-    for (const entry of pool) {
-        cumulative += entry.weight;
-        if (roll < cumulative) {
-            return entry.value;
+    try {
+        if (!gameStorage) {
+            gameStorage = await openGameStorage();
+            initTabSync();
         }
+
+        let filesLoaded = 0;
+        const dataProblems = await loadMasterData(file => setLoadingProgress(`Loaded ${file}`, (++filesLoaded / 3) * 50));
+        if (dataProblems.length > 0) {
+            screen.style.display = 'none';
+            showDataErrors(dataProblems);
+            return;
+        }
+
+        const packIcons = Object.keys(allPacksData).map(type => `images/ui/pack-${type}.png`);
+        await preloadImages([...PRELOAD_IMAGES, ...packIcons], (done, total) => setLoadingProgress(`Loading images (${done}/${total})`, 50 + (done / total) * 50));
+    } catch (error) {
+        console.error("CRITICAL: Failed to load game data.", error);
+        document.getElementById('loading-error-message').textContent = `Couldn't load the game data (${error.message}).`;
+        document.getElementById('loading-retry-btn').onclick = bootstrap;
+        errorBox.style.display = 'block';
+        return;
+    } finally {
+        bootInProgress = false;
     }
-    
-    // Fallback
-    return pool[pool.length - 1].value;
+
+    screen.style.display = 'none';
+    registerServiceWorker();
+    showProfilePicker();
+}
+
+/**
+ * Enables offline play (see sw.js) and tells the worker which data
+ * version we just loaded, so it can replace a stale cache.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => registration.active.postMessage({ type: 'data-version', version: masterDataVersion }))
+        .catch(e => console.warn("Offline support unavailable.", e));
 }
 
 /**
- * Initialization
+ * Updates the loading bar. Data files fill 0-50%, images 50-100%.
  */
-async function initGame() {
+function setLoadingProgress(label, percent) {
+    document.getElementById('loading-progress').value = percent;
+    document.getElementById('loading-status').textContent = label;
+}
+
+/**
+ * Resolves once every image has loaded or failed; missing art never blocks boot.
+ */
+function preloadImages(urls, onProgress) {
+    let done = 0;
+    return Promise.all(urls.map(url => new Promise(resolve => {
+        const img = new Image();
+        img.onload = img.onerror = () => {
+            done++;
+            onProgress(done, urls.length);
+            resolve();
+        };
+        img.src = url;
+    })));
+}
+
+/**
+ * Initialization. Runs once per page; master data must already be loaded.
+ * @param {string} profileId - Save profile to play (see SAVE PROFILES)
+ */
+function initGame(profileId) {
+    if (gameInitialized) return;
     console.log("Initializing game...");
-    try {
-        await loadMasterData();
-    } catch (error) {
-        console.error("CRITICAL: Failed to load game data.", error);
+    activeProfileId = profileId;
+
+    const loaded = loadState();
+    if (!loaded.ok) {
+        showSaveRecovery(loaded);
         return;
     }
 
-    loadState();
-    checkAllExpeditions();
+    gameInitialized = true;
+    initLastVisit();
+    engine = createGameEngine({ cards: allCardsData, packs: allPacksData, regions: allRegionsData, index: cardIndex }, loaded.state);
+    // Nothing is written until this tab is elected writer (onTabRoleChange)
+    engine.setReadOnly(true);
     setupNavButtons();
 
     // Initialize Sub-systems
@@ -242,94 +180,161 @@ async function initGame() {
     initMinigameHub();
     initConverter();
     initArchiveSorter();
+    initArchiveFilters();
+    initRockdex();
     initPackModal();
+    initCardDetail();
+    initPullHistory();
+    initPackOdds();
+    initSpecials();
     initDeleteButton();
+    initSaveTransfer();
+    initProfileSwitcher();
     initDevTools();
+    initPanelSubscriptions();
     
     updateUI(); 
 
+    writerRole = electWriter(activeProfileId, onTabRoleChange);
+    gameStorage.guardCommits(key => key !== getSaveKey(activeProfileId) || writerRole.confirm());
     gameTickInterval = setInterval(onGameTick, 1000);
     console.log("Game initialized.");
 }
 
-async function loadMasterData() {
-    const [cards, packs, regions] = await Promise.all([
-        fetch('cards.json'),
-        fetch('packs.json'),
-        fetch('regions.json')
-    ]);
+/**
+ * Fetches and validates the three data files.
+ * @param {Function} [onFileLoaded] - Called with each file name as it arrives
+ * @returns {Promise<Array<{file: string, message: string}>>} Problems found (see validateMasterData)
+ */
+async function loadMasterData(onFileLoaded = () => {}) {
+    const names = ['cards', 'packs', 'regions'];
+    const texts = await Promise.all(names.map(async name => {
+        const response = await fetch(`${name}.json`);
+        if (!response.ok) throw new Error(`${name}.json: ${response.status} ${response.statusText}`);
+        const text = await response.text();
+        onFileLoaded(`${name}.json`);
+        return text;
+    }));
+
+    const rawText = {};
+    names.forEach((name, i) => { rawText[name] = texts[i]; });
+    masterDataVersion = checksum(texts.join('\n'));
+
+    const data = {};
+    const problems = [];
+    for (const [name, text] of Object.entries(rawText)) {
+        try {
+            data[name] = JSON.parse(text);
+        } catch (e) {
+            problems.push({ file: `${name}.json`, message: `is not valid JSON (${e.message}).` });
+        }
+    }
+    if (problems.length > 0) return problems;
 
-    if (!cards.ok || !packs.ok || !regions.ok) throw new Error("Network response error.");
+    allCardsData = data.cards;
+    allPacksData = data.packs;
+    allRegionsData = data.regions;
+    cardIndex = buildCardIndex(allCardsData);
+    return validateMasterData(data, rawText);
+}
 
-    allCardsData = await cards.json();
-    allPacksData = await packs.json();
-    allRegionsData = await regions.json();
+/**
+ * Lists every data file problem in-page, grouped by file.
+ */
+function showDataErrors(problems) {
+    const screen = document.getElementById('data-error-screen');
+    const list = document.getElementById('data-error-list');
+    if (!screen || !list) return;
+    list.innerHTML = '';
+
+    const byFile = {};
+    problems.forEach(p => {
+        if (!byFile[p.file]) byFile[p.file] = [];
+        byFile[p.file].push(p.message);
+    });
+
+    for (const [file, messages] of Object.entries(byFile)) {
+        const group = document.createElement('li');
+        group.innerHTML = `<strong></strong><ul></ul>`;
+        group.querySelector('strong').textContent = `${file} (${messages.length})`;
+        messages.forEach(message => {
+            const li = document.createElement('li');
+            li.textContent = message;
+            group.querySelector('ul').appendChild(li);
+        });
+        list.appendChild(group);
+    }
+    screen.style.display = 'flex';
 }
 
 function saveState() {
-    localStorage.setItem('rockGameState', JSON.stringify(gameState));
+    if (engine.readOnly) return; // mirrors never write (see OTHER TABS)
+    // Serialised lazily by the storage layer, once per write batch
+    gameStorage.setItem(getSaveKey(activeProfileId), () => JSON.stringify(engine.state));
 }
 
+/**
+ * parseSave() checked against the loaded cards and packs, so saves naming
+ * rocks or packs this build doesn't have go to recovery instead of the UI.
+ */
+function parseGameSave(raw) {
+    return parseSave(raw, { cards: allCardsData, packs: allPacksData });
+}
+
+/**
+ * Reads the active profile's save and upgrades it (see save.js).
+ * @returns {{ok: boolean, state?: Object, error?: string, details?: string[], raw?: string}}
+ */
 function loadState() {
-    const savedState = localStorage.getItem('rockGameState');
-    
-    // Defaults
-    const defaultExpeditions = [ { status: "empty" }, { status: "empty" }, { status: "empty" } ];
-    const defaultMuseum = { background: 'bg-forest', frame: 'frame-1', slots: new Array(6).fill(null) };
-    const defaultPacks = { [CONSTANTS.PACKS.BASIC]: 5, [CONSTANTS.PACKS.EXPLORER]: 0, [CONSTANTS.PACKS.ADVANCED]: 0, [CONSTANTS.PACKS.DELUXE]: 0, [CONSTANTS.PACKS.COLLECTOR]: 0 };
+    const savedState = gameStorage.getItem(getSaveKey(activeProfileId));
+    if (!savedState) return { ok: true, state: createDefaultState() };
 
-    if (savedState) {
-        gameState = JSON.parse(savedState);
-        
-        // Patching old saves
-        let needsSave = false;
-        if (!gameState.museum) { gameState.museum = defaultMuseum; needsSave = true; }
-        if (!gameState.expeditions) { gameState.expeditions = defaultExpeditions; needsSave = true; }
-        if (!gameState.player.packsInventory) { gameState.player.packsInventory = defaultPacks; needsSave = true; }
-        
-        // Patch missing pack keys
-        Object.keys(defaultPacks).forEach(key => {
-            if (!gameState.player.packsInventory.hasOwnProperty(key)) {
-                gameState.player.packsInventory[key] = 0;
-                needsSave = true;
-            }
-        });
+    const result = parseGameSave(savedState);
+    return result.ok ? result : { ...result, raw: savedState };
+}
 
-        if (needsSave) saveState();
-    } else {
-        gameState = {
-            player: { packsOpened: 0, uniquesOwned: 0, packsInventory: defaultPacks },
-            inventory: { cards: [] },
-            expeditions: defaultExpeditions,
-            museum: defaultMuseum
-        };
-        saveState();
-    }
+// Where "start over" keeps a save that failed to load; deleted with its profile
+function getBrokenSaveKey(profileId) {
+    return `${getSaveKey(profileId)}.broken`;
 }
 
-// --- 3. HELPER FUNCTIONS ---
+/**
+ * Shown instead of the game when the save can't be loaded.
+ * The broken save is kept (and downloadable) until the player chooses to start over.
+ */
+function showSaveRecovery(failure) {
+    const screen = document.getElementById('save-recovery-screen');
+    if (!screen) return;
+
+    document.getElementById('save-recovery-error').textContent = failure.error;
+    const list = document.getElementById('save-recovery-details');
+    list.innerHTML = '';
+    failure.details.forEach(detail => {
+        const li = document.createElement('li');
+        li.textContent = detail;
+        list.appendChild(li);
+    });
 
-function getUniqueCardCount() {
-    const uniqueIds = new Set(gameState.inventory.cards.map(c => c.cardId));
-    return uniqueIds.size;
-}
+    document.getElementById('save-recovery-download').onclick = () => {
+        const blob = new Blob([failure.raw], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'rock-collector-broken-save.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
 
-function getUnlockedRegions() {
-    const unlocked = [];
-    const packs = gameState.player.packsOpened;
-    const uniques = getUniqueCardCount();
+    document.getElementById('save-recovery-reset').onclick = () => {
+        if (!confirm("Start a new game? The broken save will be kept as a backup in this browser.")) return;
+        gameStorage.setItem(getBrokenSaveKey(activeProfileId), failure.raw);
+        gameStorage.removeItem(getSaveKey(activeProfileId));
+        gameStorage.flush().then(() => location.reload());
+    };
 
-    for (const regionId in allRegionsData) {
-        const unlock = allRegionsData[regionId].unlock;
-        if (unlock.type === 'packs' && packs >= unlock.value) unlocked.push(regionId);
-        else if (unlock.type === 'unique' && uniques >= unlock.value) unlocked.push(regionId);
-    }
-    return unlocked;
+    screen.style.display = 'flex';
 }
 
-function isCardIdNew(cardId) {
-    return !gameState.inventory.cards.some(card => card.cardId === cardId);
-}
+// --- 3. HELPER FUNCTIONS ---
 
 function getCardImagePath(cardId, artVariant) {
     if (!artVariant || artVariant === 0 || artVariant === '0' || artVariant === 'normal') {
@@ -368,21 +373,75 @@ function showPanel(panelId) {
     }
 }
 
+/**
+ * Full redraw. Only used once at boot; afterwards each panel refreshes
+ * itself from the engine events it cares about (initPanelSubscriptions).
+ */
 function updateUI() {
     updateArchiveUI();
+    updateRockdexUI();
     updateMuseumUI();
     updateExpeditionsUI();
     updatePackInventoryUI();
     updateConverterUI();
     updateProgressionUI();
+    updateDevSeedUI();
+    updatePullHistoryUI();
+    updatePackOddsUI();
+    updateSpecialsUI();
+}
+
+/**
+ * Wires each panel to the engine events that can change it.
+ */
+function initPanelSubscriptions() {
+    const E = GAME_EVENTS;
+    // Every pack open fires cardsAcquired first (packsOpened, pity and the RNG
+    // already updated), so panels that read those listen to that alone, not packOpened too
+    const subscriptions = [
+        [updateArchiveUI, [E.CARDS_ACQUIRED, E.CONVERSION_DONE]],
+        [updateRockdexUI, [E.CARDS_ACQUIRED, E.CONVERSION_DONE, E.PROGRESS_CHANGED]],
+        [updateConverterUI, [E.CARDS_ACQUIRED, E.CONVERSION_DONE]],
+        [updatePackInventoryUI, [E.PACK_ADDED, E.PACK_OPENED, E.REGION_UNLOCKED]], // region packs show their lock
+        [updateProgressionUI, [E.CARDS_ACQUIRED, E.PROGRESS_CHANGED]],
+        [updateExpeditionsUI, [E.EXPEDITION_STARTED, E.EXPEDITION_COMPLETED, E.EXPEDITION_CLAIMED]],
+        [updateMuseumUI, [E.MUSEUM_CHANGED]],
+        [updateDevSeedUI, [E.CARDS_ACQUIRED, E.EXPEDITION_COMPLETED]],
+        [updatePullHistoryUI, [E.PACK_OPENED]],
+        [updatePackOddsUI, [E.CARDS_ACQUIRED, E.PROGRESS_CHANGED]],
+        [updateSpecialsUI, [E.CARDS_ACQUIRED, E.PROGRESS_CHANGED]]
+    ];
+    subscriptions.forEach(([render, names]) => {
+        names.forEach(name => engine.events.on(name, () => render()));
+    });
+
+    engine.events.on(E.REGION_UNLOCKED, ({ regionId }) => {
+        showToast(`New region unlocked: ${allRegionsData[regionId].name}!`);
+    });
+    engine.events.on(E.CARDS_ACQUIRED, ({ cards, source }) => {
+        if (source === 'milestone') cards.forEach(c => showToast(`Milestone reward: ${allCardsData[c.cardId].name}!`));
+    });
+}
+
+/**
+ * Small self-dismissing notice in the corner.
+ */
+function showToast(message) {
+    const container = document.getElementById('toast-container');
+    if (!container) return;
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), 4000);
 }
 
 function updateProgressionUI() {
     const uniqueEl = document.getElementById('unique-count-display');
-    if (uniqueEl) uniqueEl.textContent = `Unique Rocks Found: ${getUniqueCardCount()}`;
+    if (uniqueEl) uniqueEl.textContent = `Unique Rocks Found: ${engine.getUniqueCardCount()}`;
     
     const packsEl = document.getElementById('packs-opened-display');
-    if (packsEl) packsEl.textContent = `Total Packs Opened: ${gameState.player.packsOpened || 0}`;
+    if (packsEl) packsEl.textContent = `Total Packs Opened: ${engine.state.player.packsOpened || 0}`;
 }
 
 // --- 5. ARCHIVE & SORTING ---
@@ -392,7 +451,32 @@ function updateArchiveUI() {
     if (!grid) return; 
     grid.innerHTML = ''; 
 
-    let sortedCards = [...gameState.inventory.cards];
+    const sortedCards = getArchiveCards();
+    const total = engine.state.inventory.cards.length;
+    const countEl = document.getElementById('archive-filter-count');
+    if (countEl) {
+        countEl.textContent = sortedCards.length === total ? '' : `Showing ${sortedCards.length} of ${total} cards.`;
+        if (total > 0 && sortedCards.length === 0) countEl.textContent = 'No cards match these filters.';
+    }
+
+    sortedCards.forEach(card => {
+        const cardData = allCardsData[card.cardId];
+        if (!cardData) return;
+        const el = createCardElement(card, cardData, true); // true = draggable
+        if (getLatestAcquiredAt(card) > lastVisitAt) {
+            el.classList.add('new-since-visit');
+            el.insertAdjacentHTML('beforeend', '<div class="new-label">NEW</div>');
+        }
+        el.addEventListener('click', () => showCardDetail(card, sortedCards));
+        grid.appendChild(el);
+    });
+}
+
+/**
+ * Inventory rows that pass the archive filters, in the chosen sort order.
+ */
+function getArchiveCards() {
+    const sortedCards = engine.state.inventory.cards.filter(card => allCardsData[card.cardId] && cardMatchesArchiveFilters(card));
 
     sortedCards.sort((a, b) => {
         const d1 = allCardsData[a.cardId];
@@ -415,16 +499,12 @@ function updateArchiveUI() {
             case 'art-first':
                 if (aArt !== bArt) return bArt - aArt;
                 return d1.name.localeCompare(d2.name);
+            case 'recent':
+                return (getLatestAcquiredAt(b) - getLatestAcquiredAt(a)) || d1.name.localeCompare(d2.name);
             default: return 0;
         }
     });
-
-    sortedCards.forEach(card => {
-        const cardData = allCardsData[card.cardId];
-        if (!cardData) return;
-        const el = createCardElement(card, cardData, true); // true = draggable
-        grid.appendChild(el);
-    });
+    return sortedCards;
 }
 
 function createCardElement(card, cardData, draggable = false) {
@@ -443,11 +523,15 @@ function createCardElement(card, cardData, draggable = false) {
     let variantText = '';
     if (card.foil === 'foil') variantText += "Foil ";
     if (card.art > 0) variantText += `(Alt ${card.art})`;
+    // Specials get their own frame and say where they come from
+    const isSpecial = cardData.rarity === CONSTANTS.RARITY.SPECIAL;
+    if (isSpecial) div.title = engine.getSpecialSources(card.cardId).map(describeSpecialSource).join('\n');
 
     div.innerHTML = `
         <div class="card-image-placeholder">
             <img src="${imgPath}" alt="${cardData.name}">
             ${foilHTML}
+            ${isSpecial ? '<span class="special-ribbon">Special</span>' : ''}
         </div>
         <div class="card-info">
             <span class="card-name">${cardData.name}</span>
@@ -484,6 +568,319 @@ function initArchiveSorter() {
     }
 }
 
+// --- Acquisition history ---
+// Inventory rows log every copy as { at, source, packType? } (see addCardsToInventory in engine.js).
+
+/**
+ * When the newest copy of an inventory row arrived; 0 if only backfilled copies are left.
+ */
+function getLatestAcquiredAt(card) {
+    return (card.acquired || []).reduce((latest, a) => Math.max(latest, a.at || 0), 0);
+}
+
+// Where a pack came from (engine addPacks origins), as read after "pack from"
+const PACK_ORIGIN_LABELS = {
+    expedition: 'an expedition',
+    fishing: 'fishing',
+    sifting: 'sifting',
+    conversion: 'the converter',
+    code: 'a code',
+    dev: 'dev tools'
+};
+
+function describeAcquisitionSource(acquisition) {
+    switch (acquisition.source) {
+        case 'pack': {
+            const pack = `${acquisition.packType.charAt(0).toUpperCase() + acquisition.packType.slice(1)} pack`;
+            const origin = PACK_ORIGIN_LABELS[acquisition.origin];
+            return origin ? `${pack} from ${origin}` : pack;
+        }
+        case 'fishing': return 'Fishing';
+        case 'sifting': return 'Sifting';
+        case 'milestone': return 'Milestone reward';
+        case 'code': return 'Redeemed code';
+        case 'dev': return 'Dev tools';
+        default: return 'Unknown (from before history was kept)';
+    }
+}
+
+function getLastVisitKey(profileId) {
+    return `${getSaveKey(profileId)}.lastVisit`;
+}
+
+/**
+ * Remembers when this profile was last played, for the "new since last visit" highlights,
+ * then keeps the stored time current whenever the page is hidden. A first visit highlights nothing.
+ */
+function initLastVisit() {
+    const key = getLastVisitKey(activeProfileId);
+    const stored = parseInt(gameStorage.getItem(key), 10);
+    lastVisitAt = Number.isNaN(stored) ? Date.now() : stored;
+
+    const record = () => {
+        gameStorage.setItem(key, String(Date.now()));
+        gameStorage.flush();
+    };
+    record();
+    document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') record(); });
+}
+
+// --- Archive filters ---
+// Kept per profile next to the save, so they survive reloads.
+
+const ARCHIVE_VARIANT_FILTERS = [
+    { key: 'foil', input: 'archive-filter-foil', label: 'Foil' },
+    { key: 'altArt', input: 'archive-filter-art', label: 'Alt art' },
+    { key: 'duplicates', input: 'archive-filter-dupes', label: 'Duplicates' }
+];
+
+function getArchiveFiltersKey(profileId) {
+    return `${getSaveKey(profileId)}.archiveFilters`;
+}
+
+function createArchiveFilters() {
+    return { query: '', regions: [], rarities: [], foil: false, altArt: false, duplicates: false };
+}
+
+/**
+ * Stored filters for the active profile, dropping anything no longer in the data files.
+ */
+function loadArchiveFilters() {
+    const filters = createArchiveFilters();
+    let stored = null;
+    try {
+        stored = JSON.parse(gameStorage.getItem(getArchiveFiltersKey(activeProfileId)));
+    } catch (e) {
+        console.warn("Ignoring unreadable archive filters.", e);
+    }
+    if (!stored || typeof stored !== 'object') return filters;
+
+    if (typeof stored.query === 'string') filters.query = stored.query;
+    if (Array.isArray(stored.regions)) filters.regions = stored.regions.filter(id => allRegionsData[id]);
+    if (Array.isArray(stored.rarities)) filters.rarities = stored.rarities.filter(r => RARITY_ORDER.includes(r));
+    ARCHIVE_VARIANT_FILTERS.forEach(({ key }) => { filters[key] = stored[key] === true; });
+    return filters;
+}
+
+function saveArchiveFilters() {
+    gameStorage.setItem(getArchiveFiltersKey(activeProfileId), JSON.stringify(archiveFilters));
+}
+
+function initArchiveFilters() {
+    archiveFilters = loadArchiveFilters();
+
+    const search = document.getElementById('archive-search');
+    const regionSelect = document.getElementById('archive-filter-region');
+    const raritySelect = document.getElementById('archive-filter-rarity');
+    if (!search || !regionSelect || !raritySelect) return;
+
+    Object.entries(allRegionsData).forEach(([id, region]) => regionSelect.add(new Option(region.name, id)));
+    [...RARITY_ORDER].reverse().forEach(r => raritySelect.add(new Option(r.charAt(0).toUpperCase() + r.slice(1), r)));
+
+    search.value = archiveFilters.query;
+    search.addEventListener('input', () => setArchiveFilter('query', search.value.trim()));
+
+    // Picking a region or rarity adds it as a chip; several of one kind match any of them
+    [[regionSelect, 'regions'], [raritySelect, 'rarities']].forEach(([select, key]) => {
+        select.addEventListener('change', () => {
+            if (select.value && !archiveFilters[key].includes(select.value)) {
+                setArchiveFilter(key, [...archiveFilters[key], select.value]);
+            }
+            select.value = '';
+        });
+    });
+
+    ARCHIVE_VARIANT_FILTERS.forEach(({ key, input }) => {
+        const box = document.getElementById(input);
+        if (!box) return;
+        box.checked = archiveFilters[key];
+        box.addEventListener('change', () => setArchiveFilter(key, box.checked));
+    });
+
+    updateArchiveFilterChips();
+}
+
+function setArchiveFilter(key, value) {
+    archiveFilters[key] = value;
+    saveArchiveFilters();
+    updateArchiveFilterChips();
+    updateArchiveUI();
+}
+
+/**
+ * One removable chip per active filter, plus "Clear all" when there are several.
+ */
+function updateArchiveFilterChips() {
+    const container = document.getElementById('archive-filter-chips');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const chips = [];
+    if (archiveFilters.query) {
+        chips.push({ label: `"${archiveFilters.query}"`, remove: () => setArchiveFilter('query', '') });
+    }
+    archiveFilters.regions.forEach(id => chips.push({
+        label: allRegionsData[id].name,
+        remove: () => setArchiveFilter('regions', archiveFilters.regions.filter(r => r !== id))
+    }));
+    archiveFilters.rarities.forEach(rarity => chips.push({
+        label: rarity.charAt(0).toUpperCase() + rarity.slice(1),
+        remove: () => setArchiveFilter('rarities', archiveFilters.rarities.filter(r => r !== rarity))
+    }));
+    ARCHIVE_VARIANT_FILTERS.forEach(({ key, label }) => {
+        if (archiveFilters[key]) chips.push({ label, remove: () => setArchiveFilter(key, false) });
+    });
+    if (chips.length > 1) chips.push({ label: 'Clear all', clear: true, remove: clearArchiveFilters });
+
+    chips.forEach(chip => {
+        const button = document.createElement('button');
+        button.className = chip.clear ? 'filter-chip clear' : 'filter-chip';
+        button.textContent = chip.clear ? chip.label : `${chip.label} \u00d7`;
+        button.addEventListener('click', chip.remove);
+        container.appendChild(button);
+    });
+
+    // Keep the controls in step when a chip removes a filter
+    const search = document.getElementById('archive-search');
+    if (search && search.value.trim() !== archiveFilters.query) search.value = archiveFilters.query;
+    ARCHIVE_VARIANT_FILTERS.forEach(({ key, input }) => {
+        const box = document.getElementById(input);
+        if (box) box.checked = archiveFilters[key];
+    });
+}
+
+function clearArchiveFilters() {
+    archiveFilters = createArchiveFilters();
+    saveArchiveFilters();
+    updateArchiveFilterChips();
+    updateArchiveUI();
+}
+
+function cardMatchesArchiveFilters(card) {
+    const f = archiveFilters;
+    if (!f) return true;
+    const cardData = allCardsData[card.cardId];
+    if (f.query) {
+        const query = f.query.toLowerCase();
+        const text = `${cardData.name}\n${cardData.flavor || ''}`.toLowerCase();
+        if (!text.includes(query)) return false;
+    }
+    if (f.regions.length > 0 && !f.regions.includes(cardData.region)) return false;
+    if (f.rarities.length > 0 && !f.rarities.includes(cardData.rarity)) return false;
+    if (f.foil && card.foil !== 'foil') return false;
+    if (f.altArt && !(card.art > 0)) return false;
+    if (f.duplicates && !(card.count > 1)) return false;
+    return true;
+}
+
+// --- Rockdex ---
+// Every card in cards.json by region, owned or not, with completion counts.
+
+function initRockdex() {
+    document.querySelectorAll('.archive-mode-button').forEach(btn => {
+        btn.addEventListener('click', () => setArchiveMode(btn.dataset.mode));
+    });
+}
+
+function setArchiveMode(mode) {
+    archiveMode = mode;
+    document.querySelectorAll('.archive-mode-button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    document.getElementById('archive-collection-view').style.display = mode === 'collection' ? '' : 'none';
+    document.getElementById('rockdex-view').style.display = mode === 'rockdex' ? '' : 'none';
+    updateRockdexUI();
+}
+
+/**
+ * "4/8" plus a percentage, for completion lines.
+ */
+function formatCompletion(owned, total) {
+    return `${owned}/${total} (${total > 0 ? Math.floor(owned * 100 / total) : 0}%)`;
+}
+
+function updateRockdexUI() {
+    const container = document.getElementById('rockdex-regions');
+    if (!container || archiveMode !== 'rockdex') return; // rebuilt when the mode is picked
+
+    // Copies of each card across all its variants
+    const copies = {};
+    engine.state.inventory.cards.forEach(c => { copies[c.cardId] = (copies[c.cardId] || 0) + c.count; });
+    const unlocked = new Set(engine.getUnlockedRegions());
+    const allIds = Object.keys(allCardsData);
+    const ownedTotal = allIds.filter(id => copies[id]).length;
+    // Card details page through the owned entries in Rockdex order
+    const ownedInOrder = Object.keys(allRegionsData)
+        .flatMap(regionId => cardIndex.byRegion[regionId] || [])
+        .filter(id => copies[id])
+        .map(cardId => ({ cardId, art: 0, foil: 'normal' }));
+    document.getElementById('rockdex-total').textContent = `Rockdex completion: ${formatCompletion(ownedTotal, allIds.length)}`;
+
+    container.innerHTML = '';
+    Object.entries(allRegionsData).forEach(([regionId, region]) => {
+        const ids = cardIndex.byRegion[regionId] || [];
+        const section = document.createElement('section');
+        section.className = unlocked.has(regionId) ? 'rockdex-region' : 'rockdex-region locked';
+
+        const heading = document.createElement('h3');
+        heading.textContent = `${region.name} - ${formatCompletion(ids.filter(id => copies[id]).length, ids.length)}`;
+        section.appendChild(heading);
+
+        if (!unlocked.has(regionId)) {
+            const unlock = region.unlock;
+            const progress = unlock.type === 'packs' ? engine.state.player.packsOpened : engine.getUniqueCardCount();
+            const note = document.createElement('p');
+            note.className = 'rockdex-lock';
+            note.textContent = `Locked: ${describeUnlockGoal({ goal: unlock, progress })}`;
+            section.appendChild(note);
+        }
+
+        const byRarity = (cardIndex.byRegionRarity[regionId]) || {};
+        const rarityLine = document.createElement('p');
+        rarityLine.className = 'rockdex-rarities';
+        rarityLine.textContent = [...RARITY_ORDER].reverse()
+            .filter(r => byRarity[r])
+            .map(r => `${r.charAt(0).toUpperCase() + r.slice(1)} ${byRarity[r].filter(id => copies[id]).length}/${byRarity[r].length}`)
+            .join(' \u00b7 ');
+        section.appendChild(rarityLine);
+
+        const grid = document.createElement('div');
+        grid.className = 'card-grid';
+        ids.forEach(id => {
+            if (!copies[id]) {
+                grid.appendChild(createRockdexSilhouette(id));
+                return;
+            }
+            const entry = { cardId: id, art: 0, foil: 'normal', count: copies[id] };
+            const el = createCardElement(entry, allCardsData[id]);
+            el.addEventListener('click', () => showCardDetail(entry, ownedInOrder));
+            grid.appendChild(el);
+        });
+        section.appendChild(grid);
+        container.appendChild(section);
+    });
+}
+
+/**
+ * Unowned entry: a dark outline of the art. Rare and rarer keep their name a secret too.
+ */
+function createRockdexSilhouette(cardId) {
+    const cardData = allCardsData[cardId];
+    const div = document.createElement('div');
+    div.classList.add('card-in-grid', 'rockdex-silhouette', `rarity-${cardData.rarity}`);
+    const hidden = isRarityAtLeast(cardData.rarity, CONSTANTS.RARITY.RARE);
+    div.innerHTML = `
+        <div class="card-image-placeholder">
+            <img src="${getCardImagePath(cardId, 0)}" alt="">
+        </div>
+        <div class="card-info">
+            <span class="card-name"></span>
+        </div>
+    `;
+    div.querySelector('.card-name').textContent = hidden ? '???' : cardData.name;
+    return div;
+}
+
 // --- 6. MUSEUM ---
 
 function initMuseum() {
@@ -508,15 +905,14 @@ function handleMuseumDrop(event) {
     this.classList.remove('drag-over');
     const data = JSON.parse(event.dataTransfer.getData('text/plain'));
     const slotIndex = parseInt(this.dataset.slotIndex);
-    gameState.museum.slots[slotIndex] = data;
+    engine.setMuseumSlot(slotIndex, data);
     saveState();
-    updateMuseumUI();
 }
 
 function updateMuseumUI() {
     document.querySelectorAll('.museum-slot').forEach(slot => {
         const idx = parseInt(slot.dataset.slotIndex);
-        const cardInSlot = gameState.museum.slots[idx];
+        const cardInSlot = engine.state.museum.slots[idx];
 
         if (cardInSlot) {
             const cardData = allCardsData[cardInSlot.cardId];
@@ -539,9 +935,8 @@ function updateMuseumUI() {
                 </div>`;
             
             slot.onclick = () => {
-                gameState.museum.slots[idx] = null;
+                engine.setMuseumSlot(idx, null);
                 saveState();
-                updateMuseumUI();
             };
         } else {
             slot.innerHTML = `Slot ${idx + 1}`;
@@ -553,144 +948,354 @@ function updateMuseumUI() {
 
 // --- 7. PACKS & INVENTORY ---
 
+/**
+ * "Mythic+ guaranteed in 12" style line for packs with a pity rule.
+ */
+function describePity(packType) {
+    const pity = engine.getPityProgress(packType);
+    if (!pity) return '';
+    const rarity = pity.rarity.charAt(0).toUpperCase() + pity.rarity.slice(1);
+    let text = pity.guaranteeWithin
+        ? `${rarity}+ guaranteed in ${pity.packsUntilGuarantee}`
+        : `${pity.misses} since last ${rarity}+`;
+    if (pity.softActive) text += ' (odds boosted)';
+    return `<div class="pack-pity ${pity.softActive ? 'boosted' : ''}">${text}</div>`;
+}
+
 function updatePackInventoryUI() {
     const areas = [document.getElementById('header-pack-inventory'), document.getElementById('pack-opening-area')];
-    
-    // Build HTML string once
-    let html = '';
-    for (const [type, count] of Object.entries(gameState.player.packsInventory)) {
-        const name = type.charAt(0).toUpperCase() + type.slice(1);
-        html += `
-            <div class="pack-display ${count === 0 ? 'disabled' : ''}" data-pack-type="${type}">
-                <img src="images/ui/pack-${type}.png" alt="${name}" class="pack-icon">
-                <div class="pack-count">${count}</div>
-                <div class="pack-name">${name}</div>
-            </div>`;
-    }
+
+    const bulkCount = getBulkOpenCount();
+
+    // Pity progress and bulk buttons only show in the Packs panel, not the header
+    const buildHtml = (inPanel) => {
+        let html = '';
+        for (const [type, count] of Object.entries(engine.state.player.packsInventory)) {
+            const name = type.charAt(0).toUpperCase() + type.slice(1);
+            const bulk = (inPanel && count > 1) ? `
+                    <div class="pack-bulk">
+                        ${count > bulkCount ? `<button class="pack-bulk-button" data-count="${bulkCount}">Open ${bulkCount}</button>` : ''}
+                        <button class="pack-bulk-button" data-count="all">Open All</button>
+                    </div>` : '';
+            html += `
+                <div class="pack-display ${count === 0 ? 'disabled' : ''}" data-pack-type="${type}">
+                    <img src="images/ui/pack-${type}.png" alt="${name}" class="pack-icon">
+                    <div class="pack-count">${count}</div>
+                    <div class="pack-name">${name}</div>
+                    ${inPanel ? describePity(type) : ''}
+                    ${inPanel ? describePackLock(type) : ''}
+                    ${bulk}
+                </div>`;
+        }
+        return html;
+    };
 
     areas.forEach(area => {
         if (!area) return;
-        area.innerHTML = html;
+        area.innerHTML = buildHtml(area.id === 'pack-opening-area');
         // Re-attach listeners specifically for opening area
         if (area.id === 'pack-opening-area') {
             area.querySelectorAll('.pack-display').forEach(btn => {
                 btn.addEventListener('click', () => openPack(btn.dataset.packType));
             });
+            area.querySelectorAll('.pack-bulk-button').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation(); // not a single open
+                    const type = btn.closest('.pack-display').dataset.packType;
+                    openPacksInBulk(type, btn.dataset.count === 'all' ? Infinity : parseInt(btn.dataset.count, 10));
+                });
+            });
         }
     });
 }
 
+/**
+ * Why a pack can't be opened yet (Event packs outside events), or the running event.
+ */
+function describePackLock(packType) {
+    const lock = engine.getPackLock(packType);
+    if (lock) return `<div class="pack-lock">${lock}</div>`;
+    const event = engine.getActiveEvent();
+    if (event && allPacksData[packType].slots.some(slot => slot.eventSpecial)) {
+        return `<div class="pack-lock active">${event.name} until ${formatEventDay(event.end)}</div>`;
+    }
+    return '';
+}
+
+/**
+ * The "Open N" size picked in the Packs panel.
+ */
+function getBulkOpenCount() {
+    const input = document.getElementById('bulk-open-count');
+    const n = input ? parseInt(input.value, 10) : NaN;
+    return Number.isInteger(n) && n >= 2 ? n : 10;
+}
+
 // --- 8. OPENING PACKS ---
 
 function openPack(packType) {
-    if (gameState.player.packsInventory[packType] <= 0) return;
-    gameState.player.packsInventory[packType]--;
-
-    const packRules = allPacksData[packType];
-    const newCards = [];
-    
-    // Unlock Checks
-    const packsOpened = gameState.player.packsOpened;
-    const uniques = gameState.player.uniquesOwned;
-    const foilUnlocked = packsOpened >= UNLOCK_GOALS.FOIL.value;
-    const alt1Unlocked = uniques >= UNLOCK_GOALS.ALT_ART_1.value;
-    const alt2Unlocked = uniques >= UNLOCK_GOALS.ALT_ART_2.value;
-
-    // Determine variant rates
-    let artChances = VARIANT_RATES.ART_CHANCES.LOCKED;
-    if (alt2Unlocked) artChances = VARIANT_RATES.ART_CHANCES.ALT_2_UNLOCKED;
-    else if (alt1Unlocked) artChances = VARIANT_RATES.ART_CHANCES.ALT_1_UNLOCKED;
-
-    for (let i = 0; i < 3; i++) {
-        // 1. Rarity & ID
-        const rarity = getWeightedRandom(packRules, true);
-        const cardId = getRandomCardOfRarity(rarity);
-        const isNew = isCardIdNew(cardId);
-
-        // 2. Foil
-        const foil = (foilUnlocked && Math.random() * 100 < VARIANT_RATES.FOIL_CHANCE) ? "foil" : "normal";
-
-        // 3. Art
-        const artRoll = Math.random() * 100;
-        let art = 0;
-        if (artRoll < artChances[2]) art = 2;
-        else if (artRoll < (artChances[1] + artChances[2])) art = 1;
-
-        newCards.push({ cardId, art, foil, isNew });
+    const result = engine.openPack(packType);
+    if (!result.ok) {
+        if (engine.state.player.packsInventory[packType] > 0) showToast(result.error);
+        return;
     }
-
-    addCardsToInventory(newCards);
-    gameState.player.packsOpened++;
     saveState();
-    updateUI();
-    showPackModal(newCards);
+    showPackModal(result.cards, packType);
 }
 
 /**
- * Gets a random card of specific rarity from UNLOCKED regions.
+ * Opens many packs at once: one save, one redraw, one summary instead of a reveal per pack.
+ * @param {number} count - Infinity for every pack of that type
  */
-function getRandomCardOfRarity(rarity) {
-    const unlockedRegions = getUnlockedRegions();
-    const allIds = Object.keys(allCardsData);
-
-    const validIds = allIds.filter(id => {
-        const c = allCardsData[id];
-        return c.rarity === rarity && unlockedRegions.includes(c.region);
-    });
-
-    if (validIds.length === 0) {
-        console.warn(`No ${rarity} found in unlocked regions. Fallback to common.`);
-        const fallback = allIds.filter(id => allCardsData[id].rarity === CONSTANTS.RARITY.COMMON && unlockedRegions.includes(allCardsData[id].region));
-        return fallback[Math.floor(Math.random() * fallback.length)];
+function openPacksInBulk(packType, count) {
+    const result = engine.openPacks(packType, count);
+    if (!result.ok) {
+        showToast(result.error);
+        return;
     }
+    saveState();
+    showPackSummary(result);
+}
 
-    return validIds[Math.floor(Math.random() * validIds.length)];
+/**
+ * Sort order for "best pull": rarer first, then foil, then the rarer alt art.
+ */
+function comparePulls(a, b) {
+    const rarityDiff = RARITY_ORDER.indexOf(allCardsData[a.cardId].rarity) - RARITY_ORDER.indexOf(allCardsData[b.cardId].rarity);
+    if (rarityDiff !== 0) return rarityDiff;
+    if (a.foil !== b.foil) return a.foil === 'foil' ? -1 : 1;
+    return (b.art || 0) - (a.art || 0);
 }
 
-function isCardIdNew(cardId) {
-    return !gameState.inventory.cards.some(c => c.cardId === cardId);
+/**
+ * Headline numbers for a bulk open (result of engine.openPacks).
+ */
+function summarizePulls(result) {
+    return {
+        newUniques: [...new Set(result.cards.filter(c => c.isNew).map(c => c.cardId))],
+        best: [...result.cards].sort(comparePulls)[0] || null,
+        foils: result.cards.filter(c => c.foil === 'foil').length,
+        altArts: result.cards.filter(c => c.art > 0).length,
+        regionsUnlocked: result.regionsUnlocked
+    };
 }
 
-function addCardsToInventory(newCards) {
-    const inv = gameState.inventory.cards;
-    newCards.forEach(newCard => {
-        const existing = inv.find(c => c.cardId === newCard.cardId && c.art === newCard.art && c.foil === newCard.foil);
-        if (existing) existing.count++;
-        else inv.push({ cardId: newCard.cardId, art: newCard.art, foil: newCard.foil, count: 1 });
+function showPackSummary(result) {
+    const summary = summarizePulls(result);
+    const name = result.packType.charAt(0).toUpperCase() + result.packType.slice(1);
+    document.getElementById('pack-summary-title').textContent =
+        `Opened ${result.count} ${name} Pack${result.count === 1 ? '' : 's'}`;
+
+    // Long runs can find dozens of new rocks; name the first few
+    const shownNames = summary.newUniques.slice(0, 8).map(id => allCardsData[id].name);
+    const moreNew = summary.newUniques.length - shownNames.length;
+    const newDetail = shownNames.length > 0
+        ? ` (${shownNames.join(', ')}${moreNew > 0 ? ` and ${moreNew} more` : ''})`
+        : '';
+    const regionNames = summary.regionsUnlocked.map(id => allRegionsData[id].name);
+
+    const rows = [
+        ['Cards pulled', `${result.cards.length}`],
+        ['New uniques', `${summary.newUniques.length}${newDetail}`],
+        ['Foils', `${summary.foils}`],
+        ['Alt arts', `${summary.altArts}`],
+        ['Regions unlocked', regionNames.length > 0 ? regionNames.join(', ') : 'None']
+    ];
+    const list = document.getElementById('pack-summary-list');
+    list.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const li = document.createElement('li');
+        li.innerHTML = '<strong></strong> <span></span>';
+        li.querySelector('strong').textContent = `${label}:`;
+        li.querySelector('span').textContent = value;
+        list.appendChild(li);
     });
-    gameState.player.uniquesOwned = getUniqueCardCount();
+
+    const bestArea = document.getElementById('pack-summary-best');
+    bestArea.innerHTML = '';
+    if (summary.best) {
+        const card = summary.best;
+        const d = allCardsData[card.cardId];
+        const foilOver = card.foil === 'foil' ? '<div class="foil-overlay"></div>' : '';
+        const variant = [card.foil === 'foil' ? 'Foil' : '', card.art > 0 ? `Alt Art ${card.art}` : ''].filter(Boolean).join(', ');
+        bestArea.innerHTML = `
+            <h3>Best Pull</h3>
+            <div class="card-in-grid rarity-${d.rarity}">
+                <div class="card-image-placeholder"><img src="${getCardImagePath(card.cardId, card.art)}">${foilOver}</div>
+                <div class="card-info">
+                    <span class="card-name">${d.name}</span>
+                    ${variant ? `<span class="card-variant-label">${variant}</span>` : ''}
+                </div>
+            </div>`;
+    }
+
+    document.getElementById('pack-summary-modal').style.display = 'flex';
+    document.getElementById('pack-summary-close').focus();
 }
 
 function initPackModal() {
+    const summaryModal = document.getElementById('pack-summary-modal');
+    if (summaryModal) {
+        const hideSummary = () => { summaryModal.style.display = 'none'; };
+        document.getElementById('pack-summary-close').addEventListener('click', hideSummary);
+        summaryModal.addEventListener('click', (e) => { if (e.target === summaryModal) hideSummary(); });
+        const bulkInput = document.getElementById('bulk-open-count');
+        if (bulkInput) bulkInput.addEventListener('change', updatePackInventoryUI);
+    }
+
     const modal = document.getElementById('pack-reveal-modal');
     const closeBtn = document.getElementById('modal-close-btn');
-    if (modal && closeBtn) {
-        closeBtn.addEventListener('click', () => modal.style.display = 'none');
-        modal.addEventListener('click', (e) => { if (e.target === modal) modal.style.display = 'none'; });
-    }
+    const skipBtn = document.getElementById('pack-reveal-skip');
+    if (!modal || !closeBtn) return;
+
+    closeBtn.addEventListener('click', closePackModal);
+    if (skipBtn) skipBtn.addEventListener('click', revealAllCards);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal && isRevealDone()) closePackModal();
+    });
+
+    // Space/Enter flips the next card, Escape skips ahead (or closes once everything is up)
+    document.addEventListener('keydown', (e) => {
+        if (!packReveal) return;
+        if (e.key === ' ' || e.key === 'Enter') {
+            const next = packReveal.cards.find(el => !el.classList.contains('flipped'));
+            if (!next) return;
+            e.preventDefault();
+            flipRevealCard(next);
+        } else if (e.key === 'Escape') {
+            if (isRevealDone()) closePackModal();
+            else revealAllCards();
+        }
+    });
+}
+
+function prefersReducedMotion() {
+    return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
-function showPackModal(newCards) {
+/**
+ * Pack reveal: the pack tears open, the cards are dealt face-down,
+ * and the player flips them one at a time (click, Space/Enter) or skips.
+ */
+function showPackModal(newCards, packType) {
     const modal = document.getElementById('pack-reveal-modal');
     const grid = document.getElementById('pack-reveal-grid');
+    const tear = document.getElementById('pack-tear');
     grid.innerHTML = '';
+    grid.classList.remove('dealt');
+    // One row for up to five cards; pack sizes come from packs.json
+    grid.style.gridTemplateColumns = `repeat(${Math.min(newCards.length, 5)}, 1fr)`;
 
-    newCards.forEach(card => {
+    const cardEls = newCards.map((card, i) => {
         const d = allCardsData[card.cardId];
-        const div = document.createElement('div');
-        div.classList.add('card-in-grid', `rarity-${d.rarity}`);
-        
+        const el = document.createElement('div');
+        el.className = 'reveal-card';
+        el.tabIndex = 0;
+        el.setAttribute('role', 'button');
+        el.setAttribute('aria-label', `Card ${i + 1}, face down`);
+        el.style.setProperty('--deal-index', i);
+        el.dataset.rarity = d.rarity;
+        el.dataset.foil = card.foil;
+        el.dataset.name = d.name;
+
         const img = getCardImagePath(card.cardId, card.art);
         const newLabel = card.isNew ? '<div class="new-label">NEW!</div>' : '';
         const foilOver = card.foil === 'foil' ? '<div class="foil-overlay"></div>' : '';
-        
-        div.innerHTML = `
-            ${newLabel}
-            <div class="card-image-placeholder"><img src="${img}">${foilOver}</div>
-            <div class="card-info"><span class="card-name">${d.name}</span></div>`;
-        grid.appendChild(div);
+
+        el.innerHTML = `
+            <div class="reveal-card-inner">
+                <div class="reveal-card-back"></div>
+                <div class="reveal-card-front card-in-grid rarity-${d.rarity}">
+                    ${newLabel}
+                    <div class="card-image-placeholder"><img src="${img}">${foilOver}</div>
+                    <div class="card-info"><span class="card-name">${d.name}</span></div>
+                </div>
+            </div>`;
+        el.addEventListener('click', () => flipRevealCard(el));
+        grid.appendChild(el);
+        return el;
     });
+
+    stopPackTear(); // a previous reveal may still be waiting on its tear
+    packReveal = { cards: cardEls, revealed: 0, dealt: false };
+    updateRevealControls();
     modal.style.display = 'flex';
+
+    tear.querySelector('img').src = `images/ui/pack-${packType}.png`;
+    if (prefersReducedMotion()) {
+        dealRevealCards();
+        return;
+    }
+    tear.style.display = 'block';
+    tear.classList.remove('torn');
+    void tear.offsetWidth; // restart the animation
+    tear.classList.add('torn');
+    tear.addEventListener('animationend', dealRevealCards, { once: true });
+}
+
+/**
+ * Hides the tearing pack and drops its animationend listener, so a reveal
+ * skipped or closed mid-tear can't deal the next pack's cards early.
+ */
+function stopPackTear() {
+    const tear = document.getElementById('pack-tear');
+    tear.removeEventListener('animationend', dealRevealCards);
+    tear.style.display = 'none';
+}
+
+function dealRevealCards() {
+    if (!packReveal || packReveal.dealt) return;
+    stopPackTear();
+    packReveal.dealt = true;
+    document.getElementById('pack-reveal-grid').classList.add('dealt');
+    if (packReveal.cards[0]) packReveal.cards[0].focus();
+}
+
+/**
+ * Turns one card face-up. Rarer pulls get bigger effects: a glow for rare,
+ * a burst for mythic and up, and a shimmer sweep on foils.
+ */
+function flipRevealCard(el) {
+    if (!packReveal || el.classList.contains('flipped')) return;
+    dealRevealCards(); // clicking during the tear skips it
+
+    const rarity = el.dataset.rarity;
+    el.classList.add('flipped');
+    if (isRarityAtLeast(rarity, CONSTANTS.RARITY.MYTHIC)) el.classList.add('reveal-burst');
+    else if (rarity === CONSTANTS.RARITY.RARE) el.classList.add('reveal-glow');
+    if (el.dataset.foil === 'foil') el.classList.add('reveal-shimmer');
+    el.setAttribute('aria-label', `${el.dataset.name} (${rarity}${el.dataset.foil === 'foil' ? ', foil' : ''})`);
+
+    packReveal.revealed++;
+    updateRevealControls();
+}
+
+function revealAllCards() {
+    if (!packReveal) return;
+    packReveal.cards.forEach(flipRevealCard);
+}
+
+function isRevealDone() {
+    return !packReveal || packReveal.revealed === packReveal.cards.length;
+}
+
+/**
+ * "Reveal All" while cards are face-down, the close button once they're all up.
+ */
+function updateRevealControls() {
+    const done = isRevealDone();
+    document.getElementById('pack-reveal-skip').style.display = done ? 'none' : 'inline-block';
+    document.getElementById('modal-close-btn').style.display = done ? 'inline-block' : 'none';
+    document.getElementById('pack-reveal-hint').textContent = done
+        ? "You found these cards in your pack:"
+        : "Click a card or press Space to flip it.";
+    if (done && packReveal) document.getElementById('modal-close-btn').focus();
+}
+
+function closePackModal() {
+    stopPackTear();
+    document.getElementById('pack-reveal-modal').style.display = 'none';
+    packReveal = null;
 }
 
 // --- 9. EXPEDITIONS ---
@@ -710,7 +1315,7 @@ function initExpeditions() {
 }
 
 function updateExpeditionsUI() {
-    gameState.expeditions.forEach((exp, i) => {
+    engine.state.expeditions.forEach((exp, i) => {
         const slot = document.getElementById(`exp-slot-${i}`);
         if (!slot) return;
 
@@ -733,69 +1338,37 @@ function updateExpeditionsUI() {
     });
 }
 
-function checkAllExpeditions() {
-    const now = Date.now();
-    gameState.expeditions.forEach((exp, i) => {
-        if (exp.status === "out" && now >= exp.endTs) {
-            exp.status = "complete";
-            exp.rewards = generateExpeditionRewards(i);
-        }
-    });
-    saveState();
-}
-
 function onGameTick() {
+    const { completed } = engine.tick();
+    if (completed.length > 0) {
+        saveState();
+        return;
+    }
+
     const now = Date.now();
-    let redraw = false;
-    gameState.expeditions.forEach((exp, i) => {
-        if (exp.status === "out") {
-            const left = exp.endTs - now;
-            if (left <= 0) {
-                exp.status = "complete";
-                exp.rewards = generateExpeditionRewards(i);
-                redraw = true;
-                saveState();
-            } else {
-                const slot = document.getElementById(`exp-slot-${i}`);
-                if (slot) {
-                    const timer = slot.querySelector('.timer');
-                    if (timer) timer.textContent = formatTime(left);
-                }
-            }
-        }
+    engine.state.expeditions.forEach((exp, i) => {
+        if (exp.status !== "out") return;
+        const slot = document.getElementById(`exp-slot-${i}`);
+        const timer = slot && slot.querySelector('.timer');
+        if (timer) timer.textContent = formatTime(exp.endTs - now);
     });
-    if (redraw) updateExpeditionsUI();
 }
 
 function startExpedition(index) {
-    const duration = EXPEDITION_DATA[index].durationMs;
-    gameState.expeditions[index] = { status: "out", slotIndex: index, endTs: Date.now() + duration };
+    const result = engine.startExpedition(index);
+    if (!result.ok) return;
     saveState();
-    updateExpeditionsUI();
 }
 
 function claimExpedition(index) {
-    const exp = gameState.expeditions[index];
-    if (exp.status !== "complete") return;
+    const result = engine.claim(index);
+    if (!result.ok) return;
 
-    if (exp.rewards.type === "pack") {
-        addPackToInventory(exp.rewards.packType, exp.rewards.count);
-        alert(`Expedition Result: 1 ${exp.rewards.packType} Pack!`);
+    if (result.rewards.type === "pack") {
+        const bonus = result.event ? `\n${result.event.name} bonus: 1 event Pack!` : '';
+        alert(`Expedition Result: ${result.rewards.count} ${result.rewards.packType} Pack!${bonus}`);
     }
-
-    gameState.expeditions[index] = { status: "empty" };
     saveState();
-    updateUI();
-}
-
-function generateExpeditionRewards(index) {
-    const data = EXPEDITION_DATA[index];
-    const hitBonus = Math.random() * 100 < data.bonusChance;
-    return {
-        type: "pack",
-        packType: hitBonus ? data.bonusPack : data.basePack,
-        count: 1
-    };
 }
 
 function formatTime(ms) {
@@ -808,14 +1381,6 @@ function formatTime(ms) {
     return hr > 0 ? `${hr}:${m}:${s}` : `${m}:${s}`;
 }
 
-function addPackToInventory(type, count) {
-    if (gameState.player.packsInventory[type] !== undefined) {
-        gameState.player.packsInventory[type] += count;
-        saveState();
-        updateUI();
-    }
-}
-
 // --- 10. MINIGAMES (HUB) ---
 
 function initMinigameHub() {
@@ -865,7 +1430,7 @@ function startFishing() {
     minigameState.fishing.state = "waiting";
     updateFishingUI("Waiting...", "Shh... waiting...", false);
     if (minigameState.fishing.timeout) clearTimeout(minigameState.fishing.timeout);
-    minigameState.fishing.timeout = setTimeout(showFishBite, Math.random() * 5000 + 3000);
+    minigameState.fishing.timeout = setTimeout(showFishBite, engine.random() * 5000 + 3000);
 }
 
 function failFishing() {
@@ -887,26 +1452,16 @@ function reelInFish() {
     if (minigameState.fishing.timeout) clearTimeout(minigameState.fishing.timeout);
     document.getElementById('fishing-button').disabled = true;
 
-    const reward = getWeightedRandom(FISHING_REWARDS);
+    const result = engine.grantReward(FISHING_REWARDS, 'fishing');
     let msg = "";
 
-    if (reward.type === "pack") {
-        addPackToInventory(reward.packType, 1);
-        msg = `Caught a ${reward.packType} Pack!`;
-    } else if (reward.type === "card") {
-        const cardId = getRandomCardOfRegion(reward.region);
-        if (cardId) {
-            addCardsToInventory([{ cardId, variant: "normal" }]);
-            msg = `Caught a ${allCardsData[cardId].name}!`;
-        } else {
-            msg = "Caught nothing.";
-        }
-    } else {
-        msg = reward.message;
-    }
+    if (!result.ok) msg = result.error;
+    else if (result.type === "pack") msg = `Caught a ${result.packType} Pack!`;
+    else if (result.type === "card") msg = `Caught a ${allCardsData[result.card.cardId].name}!`;
+    else msg = result.message || "Caught nothing.";
 
     document.getElementById('fishing-status').textContent = msg;
-    if (reward.type !== "none") { saveState(); updateUI(); }
+    if (result.ok && result.type !== "none") saveState();
     setTimeout(resetFishingGame, 2500);
 }
 
@@ -931,31 +1486,6 @@ function updateFishingUI(btnText, statusText, isClaim) {
     else btn.classList.remove('claim-button');
 }
 
-/**
- * Helper to find wild card based on Region and Weighted Rarity
- */
-function getRandomCardOfRegion(region) {
-    // Ensure region is unlocked
-    const unlocked = getUnlockedRegions();
-    if (!unlocked.includes(region)) region = unlocked[0] || CONSTANTS.REGIONS.RIVERBED;
-
-    // Pick rarity
-    const rarity = getWeightedRandom(WILD_RARITY_CHANCE);
-
-    // Filter cards
-    const allIds = Object.keys(allCardsData);
-    const matches = allIds.filter(id => {
-        const c = allCardsData[id];
-        return c.region === region && c.rarity === rarity;
-    });
-
-    if (matches.length > 0) return matches[Math.floor(Math.random() * matches.length)];
-
-    // Fallback if that specific rarity doesn't exist in region
-    const anyInRegion = allIds.filter(id => allCardsData[id].region === region);
-    return anyInRegion.length > 0 ? anyInRegion[Math.floor(Math.random() * anyInRegion.length)] : null;
-}
-
 // --- 12. SIFTING MINIGAME ---
 
 function initSiftingMinigame() {
@@ -968,7 +1498,7 @@ function startSiftingGame() {
     const decoys = generateSiftingRocks(7, targets);
     
     minigameState.sifting.findList = [...targets];
-    minigameState.sifting.rocksInSieve = [...targets, ...decoys].sort(() => Math.random() - 0.5);
+    minigameState.sifting.rocksInSieve = engine.shuffle([...targets, ...decoys]);
     minigameState.sifting.secondsLeft = 20;
 
     drawSiftingUI();
@@ -1008,9 +1538,9 @@ function drawSiftingUI() {
         img.src = getCardImagePath(id, 0);
         img.classList.add('sieve-rock');
         img.dataset.rockId = id;
-        img.style.left = `${Math.random() * 90}%`;
-        img.style.top = `${Math.random() * 90}%`;
-        img.style.transform = `rotate(${Math.random() * 360}deg) scale(${0.8 + Math.random() * 0.4})`;
+        img.style.left = `${engine.random() * 90}%`;
+        img.style.top = `${engine.random() * 90}%`;
+        img.style.transform = `rotate(${engine.random() * 360}deg) scale(${0.8 + engine.random() * 0.4})`;
         
         img.addEventListener('click', (e) => onSieveRockClick(e, id));
         sieveEl.appendChild(img);
@@ -1041,20 +1571,12 @@ function endSiftingGame(win) {
     const stat = document.getElementById('sifting-status');
 
     if (win) {
-        const reward = getWeightedRandom(SIFTING_REWARDS);
-        if (reward.type === "pack") {
-            addPackToInventory(reward.packType, 1);
-            stat.textContent = `Found all! Got ${reward.packType} Pack!`;
-        } else if (reward.type === "card") {
-            const cardId = getRandomCardOfRegion(reward.region);
-            if (cardId) {
-                addCardsToInventory([{ cardId, variant: "normal" }]);
-                stat.textContent = `Found all! Uncovered ${allCardsData[cardId].name}`;
-            }
-        } else {
-            stat.textContent = `Found all! ${reward.message}`;
-        }
-        if (reward.type !== "none") { saveState(); updateUI(); }
+        const result = engine.grantReward(SIFTING_REWARDS, 'sifting');
+        if (!result.ok) stat.textContent = result.error;
+        else if (result.type === "pack") stat.textContent = `Found all! Got ${result.packType} Pack!`;
+        else if (result.type === "card") stat.textContent = `Found all! Uncovered ${allCardsData[result.card.cardId].name}`;
+        else stat.textContent = `Found all! ${result.message || ''}`;
+        if (result.ok && result.type !== "none") saveState();
     } else {
         stat.textContent = "Time's up!";
     }
@@ -1068,7 +1590,7 @@ function endSiftingGame(win) {
 
 function generateSiftingRocks(count, exclude = []) {
     let pool = MINIGAME_ROCK_LIST.filter(id => !exclude.includes(id));
-    return pool.sort(() => Math.random() - 0.5).slice(0, count);
+    return engine.shuffle(pool).slice(0, count);
 }
 
 // --- 13. DUPLICATE CONVERTER ---
@@ -1088,7 +1610,7 @@ function updateConverterUI() {
     if (!grid) return;
     grid.innerHTML = '';
 
-    const dups = gameState.inventory.cards.filter(c => c.count > 1);
+    const dups = engine.state.inventory.cards.filter(c => c.count > 1);
     
     dups.forEach(card => {
         const d = allCardsData[card.cardId];
@@ -1123,12 +1645,8 @@ function toggleConvertSelect(card) {
 }
 
 function updateConversionSummary() {
-    let pts = 0;
-    conversionSelection.forEach(c => {
-        pts += (CONVERSION_POINTS[allCardsData[c.cardId].rarity] || 0) * c.count;
-    });
-
-    const reward = PACK_THRESHOLDS.find(p => pts >= p.points);
+    const pts = engine.getConversionPoints(conversionSelection);
+    const reward = engine.getConversionReward(pts);
     const label = reward ? `${reward.name} Pack` : "(None)";
     
     document.getElementById('converter-points').textContent = `Points: ${pts}`;
@@ -1137,26 +1655,12 @@ function updateConversionSummary() {
 }
 
 function confirmConversion() {
-    let pts = 0;
-    conversionSelection.forEach(c => {
-        pts += (CONVERSION_POINTS[allCardsData[c.cardId].rarity] || 0) * c.count;
-    });
-
-    const reward = PACK_THRESHOLDS.find(p => pts >= p.points);
-    if (!reward) return;
+    const result = engine.convert(conversionSelection);
+    if (!result.ok) return;
 
-    // Remove cards
-    const inv = gameState.inventory.cards;
-    conversionSelection.forEach(sel => {
-        const target = inv.find(c => c.cardId === sel.cardId && c.art === sel.art && c.foil === sel.foil);
-        if (target) target.count -= sel.count;
-    });
-
-    addPackToInventory(reward.name, 1);
-    alert(`Converted for 1 ${reward.name} Pack!`);
+    alert(`Converted for 1 ${result.packType} Pack!`);
     clearConverterSelection();
     saveState();
-    updateUI();
 }
 
 // --- 14. DEV TOOLS ---
@@ -1174,15 +1678,720 @@ function initDevTools() {
     }
 }
 
+function updateDevSeedUI() {
+    const el = document.getElementById('dev-seed-status');
+    if (el) el.textContent = `Seed: ${engine.state.rng.seed} (draw #${engine.state.rng.cursor})`;
+}
+
 function initDeleteButton() {
     const btn = document.getElementById('delete-save-button');
     if (btn) {
         btn.addEventListener('click', () => {
-            if (confirm("Reset game?")) {
-                localStorage.removeItem('rockGameState');
-                location.reload();
+            if (tabIsMirror) {
+                alert("This profile is open in another tab. Reset it from there.");
+                return;
+            }
+            if (confirm("Reset this profile's game?")) {
+                gameStorage.removeItem(getSaveKey(activeProfileId));
+                gameStorage.flush().then(() => location.reload());
+            }
+        });
+    }
+}
+
+// --- 15. SAVE EXPORT & IMPORT ---
+
+function initSaveTransfer() {
+    const fileInput = document.getElementById('import-file-input');
+    const codeBox = document.getElementById('save-code-box');
+    if (!fileInput || !codeBox) return;
+
+    document.getElementById('export-file-button').addEventListener('click', exportSaveFile);
+    document.getElementById('export-code-button').addEventListener('click', async () => {
+        try {
+            codeBox.value = await encodeSaveCode(engine.state);
+            codeBox.select();
+        } catch (e) {
+            alert(`The save code could not be made. Export a file instead.\n${e.message}`);
+        }
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) previewImport(parseGameSave(await file.text()));
+    });
+
+    document.getElementById('import-code-button').addEventListener('click', async () => {
+        const decoded = await decodeSaveCode(codeBox.value);
+        previewImport(decoded.ok ? parseGameSave(decoded.raw) : decoded);
+    });
+
+    const modal = document.getElementById('import-confirm-modal');
+    document.getElementById('import-cancel-btn').addEventListener('click', () => modal.style.display = 'none');
+}
+
+function exportSaveFile() {
+    const blob = new Blob([JSON.stringify(engine.state, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `rock-collector-save-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Shows what an import would change and only overwrites on confirmation.
+ * @param {Object} parsed - Result of parseGameSave()/decodeSaveCode()
+ */
+function previewImport(parsed) {
+    if (!parsed.ok) {
+        alert([parsed.error, ...parsed.details].join('\n'));
+        return;
+    }
+
+    const table = document.getElementById('import-diff');
+    table.innerHTML = '<tr><th></th><th>Current</th><th>Imported</th></tr>';
+    summarizeSaveDiff(engine.state, parsed.state).forEach(row => {
+        const tr = document.createElement('tr');
+        if (row.current !== row.incoming) tr.classList.add('changed');
+        // Labels come from the imported save, so they go in as text
+        [row.label, row.current, row.incoming].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+
+    const modal = document.getElementById('import-confirm-modal');
+    document.getElementById('import-confirm-btn').onclick = () => {
+        if (tabIsMirror) {
+            alert("This profile is open in another tab. Import from there.");
+            return;
+        }
+        gameStorage.setItem(getSaveKey(activeProfileId), JSON.stringify(parsed.state));
+        gameStorage.flush().then(() => location.reload());
+    };
+    modal.style.display = 'flex';
+}
+
+// --- 16. SAVE PROFILES ---
+// Each profile keeps a whole save under its own key; 'rockProfiles' lists them.
+
+const PROFILE_INDEX_KEY = 'rockProfiles';
+const LEGACY_SAVE_KEY = 'rockGameState';
+
+function getSaveKey(profileId) {
+    return `${LEGACY_SAVE_KEY}:${profileId}`;
+}
+
+/**
+ * Reads the profile list, adopting a pre-profiles save as "Main" on first run.
+ * @returns {{lastId: string|null, profiles: Array<{id: string, name: string, createdAt: number}>}}
+ */
+function loadProfiles() {
+    const stored = gameStorage.getItem(PROFILE_INDEX_KEY);
+    if (stored) {
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            console.warn("Profile list unreadable, rebuilding it.", e);
+        }
+    }
+
+    const index = { lastId: null, profiles: [] };
+    const legacy = gameStorage.getItem(LEGACY_SAVE_KEY);
+    if (legacy) {
+        const profile = addProfile(index, "Main");
+        gameStorage.setItem(getSaveKey(profile.id), legacy);
+        gameStorage.removeItem(LEGACY_SAVE_KEY);
+    }
+    saveProfiles(index);
+    return index;
+}
+
+function saveProfiles(index) {
+    gameStorage.setItem(PROFILE_INDEX_KEY, JSON.stringify(index));
+}
+
+function addProfile(index, name) {
+    const profile = { id: `p${Date.now().toString(36)}${index.profiles.length}`, name, createdAt: Date.now() };
+    index.profiles.push(profile);
+    return profile;
+}
+
+function createProfile(name) {
+    const index = loadProfiles();
+    const profile = addProfile(index, name);
+    saveProfiles(index);
+    return profile;
+}
+
+function duplicateProfile(sourceId, name) {
+    const index = loadProfiles();
+    const profile = addProfile(index, name);
+    const save = gameStorage.getItem(getSaveKey(sourceId));
+    if (save) gameStorage.setItem(getSaveKey(profile.id), save);
+    saveProfiles(index);
+    return profile;
+}
+
+function deleteProfile(profileId) {
+    const index = loadProfiles();
+    index.profiles = index.profiles.filter(p => p.id !== profileId);
+    if (index.lastId === profileId) index.lastId = null;
+    gameStorage.removeItem(getSaveKey(profileId));
+    gameStorage.removeItem(getArchiveFiltersKey(profileId));
+    gameStorage.removeItem(getLastVisitKey(profileId));
+    gameStorage.removeItem(getBrokenSaveKey(profileId));
+    saveProfiles(index);
+}
+
+/**
+ * One-line progress summary for the picker, read straight from the stored save.
+ */
+function describeProfile(profileId) {
+    const raw = gameStorage.getItem(getSaveKey(profileId));
+    if (!raw) return "New game";
+    const parsed = parseGameSave(raw);
+    if (!parsed.ok) return "Save needs recovery";
+    const uniques = new Set(parsed.state.inventory.cards.map(c => c.cardId)).size;
+    return `${uniques} rocks, ${parsed.state.player.packsOpened} packs opened`;
+}
+
+/**
+ * Lets the player pick, create, duplicate or delete a profile, then boots it.
+ * Skipped when there is exactly one profile and no switch was requested
+ * (the "Switch Profile" button requests one across the reload).
+ * @param {boolean} force - Show the picker even for a single profile
+ */
+function showProfilePicker(force = false) {
+    if (sessionStorage.getItem('rockShowProfilePicker')) {
+        sessionStorage.removeItem('rockShowProfilePicker');
+        force = true;
+    }
+
+    const index = loadProfiles();
+    if (index.profiles.length === 0) {
+        const profile = createProfile("Player 1");
+        index.profiles.push(profile);
+    }
+    if (!force && index.profiles.length === 1) {
+        playProfile(index.profiles[0].id);
+        return;
+    }
+
+    const screen = document.getElementById('profile-picker');
+    const list = document.getElementById('profile-list');
+    list.innerHTML = '';
+
+    index.profiles.forEach(profile => {
+        const row = document.createElement('li');
+        row.className = 'profile-row';
+        if (profile.id === index.lastId) row.classList.add('last-played');
+        row.innerHTML = `
+            <div class="profile-info">
+                <span class="profile-name"></span>
+                <span class="quiet-stat">${describeProfile(profile.id)}</span>
+            </div>
+            <button class="game-button claim-button" data-action="play">Play</button>
+            <button class="game-button" data-action="duplicate">Duplicate</button>
+            <button class="game-button danger-button" data-action="delete">Delete</button>`;
+        row.querySelector('.profile-name').textContent = profile.name;
+
+        row.querySelector('[data-action="play"]').addEventListener('click', () => playProfile(profile.id));
+        row.querySelector('[data-action="duplicate"]').addEventListener('click', () => {
+            const name = prompt("Name for the copy:", `${profile.name} (copy)`);
+            if (name) { duplicateProfile(profile.id, name.trim()); showProfilePicker(true); }
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (confirm(`Delete "${profile.name}" and its whole collection?`)) { deleteProfile(profile.id); showProfilePicker(true); }
+        });
+        list.appendChild(row);
+    });
+
+    document.getElementById('profile-create-form').onsubmit = (e) => {
+        e.preventDefault();
+        const input = document.getElementById('profile-name-input');
+        const name = input.value.trim();
+        if (!name) return;
+        input.value = '';
+        createProfile(name);
+        showProfilePicker(true);
+    };
+
+    screen.style.display = 'flex';
+}
+
+function playProfile(profileId) {
+    const index = loadProfiles();
+    index.lastId = profileId;
+    saveProfiles(index);
+    document.getElementById('profile-picker').style.display = 'none';
+    initGame(profileId);
+}
+
+function initProfileSwitcher() {
+    const btn = document.getElementById('switch-profile-button');
+    const label = document.getElementById('active-profile-name');
+    const profile = loadProfiles().profiles.find(p => p.id === activeProfileId);
+    if (label && profile) label.textContent = `Profile: ${profile.name}`;
+    if (btn) {
+        btn.addEventListener('click', () => {
+            sessionStorage.setItem('rockShowProfilePicker', '1');
+            gameStorage.flush().then(() => location.reload());
+        });
+    }
+}
+
+// --- 17. OTHER TABS ---
+// One tab per profile is the writer (tabs.js). Any other tab on the same
+// profile is a read-only mirror: it reloads the save each time the writer
+// commits, and takes over once the writer tab closes.
+
+function initTabSync() {
+    const channel = openSaveChannel(onRemoteCommit);
+    gameStorage.onCommit(keys => channel.announce(keys));
+}
+
+/**
+ * Another tab committed these keys: drop our cached copies, and redraw
+ * if it was the save this tab is mirroring.
+ */
+function onRemoteCommit(keys) {
+    gameStorage.refresh(keys).then(() => {
+        if (tabIsMirror && keys.includes(getSaveKey(activeProfileId))) reloadSaveFromStorage();
+    });
+}
+
+function reloadSaveFromStorage() {
+    const loaded = loadState();
+    if (!loaded.ok) return;
+    engine.replaceState(loaded.state);
+    updateUI();
+}
+
+function onTabRoleChange(isWriter) {
+    const banner = document.getElementById('read-only-banner');
+    if (!isWriter) {
+        const demoted = !engine.readOnly; // false for the first election
+        tabIsMirror = true;
+        engine.setReadOnly(true);
+        if (banner) banner.style.display = 'block';
+        // Another tab took over: our queued save would overwrite its progress
+        if (demoted) gameStorage.discard([getSaveKey(activeProfileId)]).then(reloadSaveFromStorage);
+        return;
+    }
+
+    // Read the save fresh: the previous writer may have committed since we loaded it
+    const key = getSaveKey(activeProfileId);
+    gameStorage.refresh([key]).then(() => {
+        const promoted = tabIsMirror;
+        if (promoted) reloadSaveFromStorage();
+        tabIsMirror = false;
+        engine.setReadOnly(false);
+        engine.tick();
+        engine.checkMilestones(); // rewards reached before this tab could write
+        saveState();
+        if (banner) banner.style.display = 'none';
+        if (promoted) showToast("The other tab closed. You can play here now.");
+    });
+}
+
+// --- 18. PULL HISTORY & DROP RATES ---
+// Reads engine.state.pullLog / pullStats (recorded by the engine on every pack).
+
+const PULL_LOG_SHOWN = 25;
+
+function initPullHistory() {
+    const select = document.getElementById('stats-pack-select');
+    if (!select) return;
+    Object.keys(allPacksData).forEach(type => {
+        const opt = document.createElement('option');
+        opt.value = type;
+        opt.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+        select.appendChild(opt);
+    });
+    select.addEventListener('change', updatePullHistoryUI);
+}
+
+function formatPercent(fraction, digits = 1) {
+    return `${(fraction * 100).toFixed(digits)}%`;
+}
+
+function updatePullHistoryUI() {
+    updateDropRateTable();
+    updatePullLogList();
+}
+
+/**
+ * Observed rates for one pack type against packs.json (rarity) and VARIANT_RATES (foil, alt art).
+ * "Expected" sums the odds each card was actually rolled with, so locked foils and slot overrides count.
+ */
+function updateDropRateTable() {
+    const select = document.getElementById('stats-pack-select');
+    const table = document.getElementById('stats-table');
+    if (!select || !table) return;
+
+    const stats = engine.state.pullStats[select.value];
+    const totals = document.getElementById('stats-totals');
+    if (!stats) {
+        totals.textContent = '';
+        table.innerHTML = '<tr><td>No packs of this type opened yet.</td></tr>';
+        return;
+    }
+    totals.textContent = `${stats.packs} packs, ${stats.cards} cards`;
+
+    const rows = [];
+    [...RARITY_ORDER].reverse().forEach(rarity => {
+        const seen = stats.rarity[rarity] || 0;
+        const expected = stats.expectedRarity[rarity] || 0;
+        if (seen === 0 && expected === 0) return;
+        rows.push([rarity, expected, seen]);
+    });
+    rows.push([`Foil (base ${VARIANT_RATES.FOIL_CHANCE}%)`, stats.expectedFoils, stats.foils]);
+    rows.push(['Alt Art 1', stats.expectedArts[1], stats.arts[1]]);
+    rows.push(['Alt Art 2', stats.expectedArts[2], stats.arts[2]]);
+
+    table.innerHTML = '<tr><th></th><th>Expected</th><th>Observed</th></tr>';
+    rows.forEach(([label, expected, seen]) => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td></td><td></td><td></td>';
+        tr.children[0].textContent = label;
+        tr.children[1].textContent = formatPercent(expected / stats.cards);
+        tr.children[2].textContent = `${formatPercent(seen / stats.cards)} (${seen})`;
+        table.appendChild(tr);
+    });
+}
+
+/**
+ * Newest packs first: time, pack, and each card with its variant and new/duplicate status.
+ */
+function updatePullLogList() {
+    const list = document.getElementById('pull-log-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const entries = engine.state.pullLog.slice(-PULL_LOG_SHOWN).reverse();
+    if (entries.length === 0) {
+        list.innerHTML = '<li>Nothing opened yet.</li>';
+        return;
+    }
+
+    entries.forEach(entry => {
+        const li = document.createElement('li');
+        const when = new Date(entry.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const packName = entry.packType.charAt(0).toUpperCase() + entry.packType.slice(1);
+        const cardsText = entry.cards.map(card => {
+            const tags = [];
+            if (card.foil === 'foil') tags.push('Foil');
+            if (card.art > 0) tags.push(`Alt ${card.art}`);
+            tags.push(card.isNew ? 'NEW' : 'dupe');
+            return `${allCardsData[card.cardId].name} (${tags.join(', ')})`;
+        }).join(', ');
+
+        li.innerHTML = '<span class="pull-log-time"></span> <strong></strong> <span></span>';
+        li.children[0].textContent = when;
+        li.children[1].textContent = `${packName}:`;
+        li.children[2].textContent = cardsText;
+        list.appendChild(li);
+    });
+}
+
+// --- 19. PACK ODDS ---
+// Disclosure of engine.getPackOdds(): what the next pack can give given today's unlocks.
+
+function initPackOdds() {
+    const select = document.getElementById('odds-pack-select');
+    if (!select) return;
+    Object.keys(allPacksData).forEach(type => {
+        const opt = document.createElement('option');
+        opt.value = type;
+        opt.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+        select.appendChild(opt);
+    });
+    select.addEventListener('change', updatePackOddsUI);
+}
+
+/**
+ * "unlocks at 50 packs opened (12/50)"
+ */
+function describeUnlockGoal(unlock) {
+    const what = unlock.goal.type === 'packs' ? 'packs opened' : 'unique rocks';
+    return `unlocks at ${unlock.goal.value} ${what} (${Math.min(unlock.progress, unlock.goal.value)}/${unlock.goal.value})`;
+}
+
+function fillOddsTable(table, heading, rows) {
+    table.innerHTML = `<tr><th>${heading}</th><th>Per card</th></tr>`;
+    rows.forEach(([label, chance]) => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td></td><td></td>';
+        tr.children[0].textContent = label;
+        tr.children[1].textContent = formatPercent(chance);
+        table.appendChild(tr);
+    });
+}
+
+function updatePackOddsUI() {
+    const select = document.getElementById('odds-pack-select');
+    const summary = document.getElementById('odds-summary');
+    if (!select || !summary) return;
+    const odds = engine.getPackOdds(select.value);
+    if (!odds) return;
+
+    const lines = [`${odds.cardCount} cards per pack.`];
+    const lock = engine.getPackLock(odds.packType);
+    if (lock) lines.unshift(lock);
+    lines.push(`New rock: ${formatPercent(odds.newCard)} per card, ${formatPercent(odds.newInPack)} for at least one in the pack.`);
+    const unowned = engine.getPackSlots(odds.packType).filter(slot => slot.unowned).length;
+    if (unowned > 0) {
+        lines.push(`${unowned === 1 ? 'One card is' : `${unowned} cards are`} always a rock you don't have yet, `
+            + `or a foil or alt art you're missing once you have every unlocked rock.`);
+    }
+    if (odds.pity) {
+        const chased = odds.pity.rarity.charAt(0).toUpperCase() + odds.pity.rarity.slice(1);
+        if (odds.guaranteed) lines.push(`This pack is guaranteed a ${chased} or better.`);
+        else if (odds.pity.softActive) lines.push(`Soft pity is raising the ${chased} odds below.`);
+    }
+    if (odds.fallback > 0) {
+        lines.push(`${formatPercent(odds.fallback)} of cards roll a rarity with no unlocked rocks yet and become a common instead.`);
+    }
+
+    // Foil and alt-art odds, with the goal still to reach when locked
+    const variantLine = (label, perCard, unlock, extra) => {
+        let text = `${label}: ${formatPercent(perCard, 2)} per card${extra || ''}`;
+        if (!unlock.unlocked) text += ` (${describeUnlockGoal(unlock)})`;
+        return text;
+    };
+    lines.push(variantLine('Foil', odds.foil, odds.unlocks.foil, `, ${formatPercent(odds.foilInPack, 2)} per pack`));
+    lines.push(variantLine('Alt Art 1', odds.altArt1, odds.unlocks.altArt1));
+    lines.push(variantLine('Alt Art 2', odds.altArt2, odds.unlocks.altArt2));
+
+    summary.innerHTML = '';
+    lines.forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        summary.appendChild(li);
+    });
+
+    const rarityRows = [...RARITY_ORDER].reverse()
+        .filter(r => odds.rarity[r] > 0)
+        .map(r => [r, odds.rarity[r]]);
+    fillOddsTable(document.getElementById('odds-rarity-table'), 'Rarity', rarityRows);
+
+    const regionRows = Object.entries(odds.region)
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, chance]) => [allRegionsData[id].name, chance]);
+    fillOddsTable(document.getElementById('odds-region-table'), 'Region', regionRows);
+}
+
+// --- 20. SPECIAL ROCKS ---
+// Special cards only come from events, milestones and codes (SPECIAL_EVENTS and friends in engine.js).
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function initSpecials() {
+    const button = document.getElementById('redeem-code-button');
+    const input = document.getElementById('redeem-code-input');
+    if (!button || !input) return;
+    button.addEventListener('click', redeemCode);
+    input.addEventListener('keydown', (e) => { if (e.key === 'Enter') redeemCode(); });
+}
+
+/**
+ * "12-27" -> "Dec 27"
+ */
+function formatEventDay(day) {
+    const [month, date] = day.split('-').map(n => parseInt(n, 10));
+    return `${MONTH_NAMES[month - 1]} ${date}`;
+}
+
+function describeSpecialSource(source) {
+    if (source.type === 'event') {
+        return `${source.event.name} packs (${formatEventDay(source.event.start)} - ${formatEventDay(source.event.end)})`;
+    }
+    if (source.type === 'milestone') return `Milestone: ${source.milestone.label}`;
+    return 'Redeemable code';
+}
+
+function updateSpecialsUI() {
+    const status = document.getElementById('special-event-status');
+    const list = document.getElementById('special-list');
+    if (!status || !list) return;
+
+    const event = engine.getActiveEvent();
+    status.textContent = event
+        ? `${event.name} is on until ${formatEventDay(event.end)}: every expedition brings back an Event pack.`
+        : 'No event is running right now. Event packs open during the next one.';
+
+    list.innerHTML = '';
+    (cardIndex.byRarity[CONSTANTS.RARITY.SPECIAL] || []).forEach(cardId => {
+        const owned = !engine.isCardIdNew(cardId);
+        const li = document.createElement('li');
+        li.className = owned ? 'owned' : '';
+        li.innerHTML = '<span class="special-name"></span><span class="special-sources"></span>';
+        li.children[0].textContent = `${owned ? '\u2713 ' : ''}${allCardsData[cardId].name}`;
+        li.children[1].textContent = engine.getSpecialSources(cardId).map(describeSpecialSource).join(' / ');
+        list.appendChild(li);
+    });
+}
+
+function redeemCode() {
+    const input = document.getElementById('redeem-code-input');
+    const result = engine.redeemCode(input.value);
+    if (!result.ok) {
+        showToast(result.error);
+        return;
+    }
+    input.value = '';
+    const reward = result.reward;
+    showToast(reward.type === 'card'
+        ? `Code redeemed: ${allCardsData[reward.cardId].name}!`
+        : `Code redeemed: ${reward.count} ${reward.packType} pack${reward.count > 1 ? 's' : ''}!`);
+    saveState();
+}
+
+// --- 21. CARD DETAILS ---
+// Opened from the Archive or the Rockdex; Prev/Next walk the list it was opened from.
+
+function initCardDetail() {
+    const modal = document.getElementById('card-detail-modal');
+    if (!modal) return;
+    document.getElementById('card-detail-close').addEventListener('click', closeCardDetail);
+    document.getElementById('card-detail-prev').addEventListener('click', () => stepCardDetail(-1));
+    document.getElementById('card-detail-next').addEventListener('click', () => stepCardDetail(1));
+    modal.addEventListener('click', (e) => { if (e.target === modal) closeCardDetail(); });
+
+    document.addEventListener('keydown', (e) => {
+        if (!cardDetail) return;
+        if (e.key === 'ArrowLeft') stepCardDetail(-1);
+        else if (e.key === 'ArrowRight') stepCardDetail(1);
+        else if (e.key === 'Escape') closeCardDetail();
+    });
+}
+
+/**
+ * @param {Object} card - The clicked entry; its art and foil are shown first
+ * @param {Array} list - Entries in display order. A card with several variants
+ *   is one stop, at its first variant.
+ */
+function showCardDetail(card, list) {
+    const entries = [];
+    const seen = new Set();
+    list.forEach(entry => {
+        if (seen.has(entry.cardId)) return;
+        seen.add(entry.cardId);
+        entries.push(entry);
+    });
+    const index = Math.max(0, entries.findIndex(entry => entry.cardId === card.cardId));
+    cardDetail = { entries, index, art: card.art || 0, foil: card.foil || 'normal' };
+    updateCardDetailUI();
+    document.getElementById('card-detail-modal').style.display = 'flex';
+}
+
+function stepCardDetail(delta) {
+    const { entries, index } = cardDetail;
+    const next = index + delta;
+    if (next < 0 || next >= entries.length) return;
+    cardDetail = { entries, index: next, art: entries[next].art || 0, foil: entries[next].foil || 'normal' };
+    updateCardDetailUI();
+}
+
+function closeCardDetail() {
+    cardDetail = null;
+    document.getElementById('card-detail-modal').style.display = 'none';
+}
+
+function updateCardDetailUI() {
+    const { entries, index, art, foil } = cardDetail;
+    const cardId = entries[index].cardId;
+    const cardData = allCardsData[cardId];
+
+    document.getElementById('card-detail-name').textContent = cardData.name;
+    const frame = document.getElementById('card-detail-frame');
+    frame.className = `card-detail-art rarity-${cardData.rarity}`;
+    const img = document.getElementById('card-detail-img');
+    img.src = getCardImagePath(cardId, art);
+    img.alt = cardData.name;
+    const foilOverlay = frame.querySelector('.foil-overlay');
+    if (foil === 'foil' && !foilOverlay) frame.insertAdjacentHTML('beforeend', '<div class="foil-overlay"></div>');
+    else if (foil !== 'foil' && foilOverlay) foilOverlay.remove();
+
+    const rarity = cardData.rarity.charAt(0).toUpperCase() + cardData.rarity.slice(1);
+    const points = CONVERSION_POINTS[cardData.rarity] || 0;
+    document.getElementById('card-detail-meta').textContent =
+        `${rarity} \u00b7 ${allRegionsData[cardData.region].name} \u00b7 ${points} conversion point${points === 1 ? '' : 's'} per copy`;
+    document.getElementById('card-detail-flavor').textContent = cardData.flavor || '';
+
+    const sources = document.getElementById('card-detail-sources');
+    sources.innerHTML = '';
+    if (cardData.rarity === CONSTANTS.RARITY.SPECIAL) {
+        engine.getSpecialSources(cardId).forEach(source => {
+            const li = document.createElement('li');
+            li.textContent = describeSpecialSource(source);
+            sources.appendChild(li);
+        });
+    }
+
+    // Copies owned of each art x foil combination; owned cells switch the art shown above
+    const table = document.getElementById('card-detail-variants');
+    table.innerHTML = '<tr><th>Art</th><th>Normal</th><th>Foil</th></tr>';
+    ['Normal', 'Alt Art 1', 'Alt Art 2'].forEach((label, artIndex) => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = '<td></td>';
+        tr.children[0].textContent = label;
+        ['normal', 'foil'].forEach(foilType => {
+            const row = engine.state.inventory.cards.find(c => c.cardId === cardId && c.art === artIndex && c.foil === foilType);
+            const td = document.createElement('td');
+            td.textContent = row ? `x${row.count}` : '\u2014';
+            if (row) {
+                td.className = artIndex === art && foilType === foil ? 'owned shown' : 'owned';
+                td.addEventListener('click', () => {
+                    cardDetail = { ...cardDetail, art: artIndex, foil: foilType };
+                    updateCardDetailUI();
+                });
             }
+            tr.appendChild(td);
+        });
+        table.appendChild(tr);
+    });
+
+    updateCardProvenance(cardId, art, foil);
+
+    document.getElementById('card-detail-position').textContent = `${index + 1} / ${entries.length}`;
+    document.getElementById('card-detail-prev').disabled = index === 0;
+    document.getElementById('card-detail-next').disabled = index === entries.length - 1;
+}
+
+/**
+ * When and how the shown variant's copies arrived: the first one, then a count per source.
+ */
+function updateCardProvenance(cardId, art, foil) {
+    const list = document.getElementById('card-detail-provenance');
+    if (!list) return;
+    list.innerHTML = '';
+    const row = engine.state.inventory.cards.find(c => c.cardId === cardId && c.art === art && c.foil === foil);
+    if (!row || !row.acquired || row.acquired.length === 0) return;
+
+    const addLine = (text) => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    };
+    const first = row.acquired[0];
+    const when = first.at === null
+        ? ''
+        : ` on ${new Date(first.at).toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`;
+    addLine(`First copy: ${describeAcquisitionSource(first)}${when}`);
+
+    if (row.acquired.length > 1) {
+        const bySource = {};
+        row.acquired.forEach(a => {
+            const label = describeAcquisitionSource(a);
+            bySource[label] = (bySource[label] || 0) + 1;
         });
+        addLine(`All ${row.acquired.length} copies: ${Object.entries(bySource).map(([label, n]) => `${label} x${n}`).join(', ')}`);
     }
 }
 
@@ -1191,16 +2400,26 @@ function initDeleteButton() {
 window.startExpedition = startExpedition;
 window.claimExpedition = claimExpedition;
 window.startSiftingGame = startSiftingGame;
-window.devAddPacks = (amt) => addPackToInventory(document.getElementById('dev-pack-select').value, amt);
+window.devAddPacks = (amt) => {
+    if (engine.addPacks(document.getElementById('dev-pack-select').value, amt, 'dev').ok) saveState();
+};
 window.devAddCard = () => {
     const id = document.getElementById('dev-card-input').value.trim();
     if (allCardsData[id]) {
-        addCardsToInventory([{ cardId: id, art: 0, foil: "normal" }]);
-        updateUI();
+        engine.addCards([{ cardId: id, art: 0, foil: "normal" }], 'dev');
+        saveState();
     }
 };
-window.devResetProgress = () => { gameState.player.packsOpened = 0; gameState.player.uniquesOwned = 0; saveState(); updateUI(); };
-window.devMaxProgress = () => { gameState.player.packsOpened = 999; gameState.player.uniquesOwned = 999; saveState(); updateUI(); };
+window.devSetSeed = () => {
+    const seed = parseInt(document.getElementById('dev-seed-input').value, 10);
+    if (Number.isNaN(seed)) return;
+    engine.setSeed(seed);
+    saveState();
+    updateDevSeedUI();
+};
+window.devResetProgress = () => { engine.setProgress(0, 0); saveState(); };
+window.devMaxProgress = () => { engine.setProgress(999, 999); saveState(); };
 
 // Start
-document.addEventListener('DOMContentLoaded', initGame);
\ No newline at end of file
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', bootstrap);
+else bootstrap();
\ No newline at end of file
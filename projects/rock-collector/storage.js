@@ -0,0 +1,253 @@
+/*
+================================================================================
+SAVE STORAGE (storage.js)
+Where saves and profiles live. IndexedDB when the browser allows it,
+localStorage otherwise. Reads come from memory; writes are debounced
+and committed in batches, so a busy game tick doesn't rewrite the save.
+================================================================================
+*/
+
+const STORAGE_DB_NAME = 'rock-collector';
+const STORAGE_STORE_NAME = 'kv';
+// localStorage keys that belong to the game (saves, profile list)
+const STORAGE_KEY_PREFIXES = ['rockGameState', 'rockProfiles'];
+
+const STORAGE_FLUSH_DELAY_MS = 400;   // quiet period before writing
+const STORAGE_MAX_WAIT_MS = 2000;     // never hold writes longer than this
+
+function isGameStorageKey(key) {
+    return STORAGE_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// --- 1. BACKENDS ---
+// A backend loads everything once, re-reads single keys another tab changed,
+// and commits batches of { key: value|null }.
+
+function openIndexedDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error("IndexedDB is not available."));
+            return;
+        }
+        const request = indexedDB.open(STORAGE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab."));
+    });
+}
+
+async function createIndexedDbBackend() {
+    const db = await openIndexedDb();
+
+    function loadAll() {
+        return new Promise((resolve, reject) => {
+            const entries = new Map();
+            const tx = db.transaction(STORAGE_STORE_NAME, 'readonly');
+            const cursorRequest = tx.objectStore(STORAGE_STORE_NAME).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                entries.set(cursor.key, cursor.value);
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(entries);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function read(keys) {
+        return new Promise((resolve, reject) => {
+            const values = new Map();
+            const tx = db.transaction(STORAGE_STORE_NAME, 'readonly');
+            const store = tx.objectStore(STORAGE_STORE_NAME);
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => values.set(key, request.result === undefined ? null : request.result);
+            });
+            tx.oncomplete = () => resolve(values);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function commit(batch) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORAGE_STORE_NAME, 'readwrite');
+            const store = tx.objectStore(STORAGE_STORE_NAME);
+            for (const [key, value] of Object.entries(batch)) {
+                if (value === null) store.delete(key);
+                else store.put(value, key);
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    return { kind: 'indexeddb', loadAll, read, commit };
+}
+
+function createLocalStorageBackend() {
+    return {
+        kind: 'localstorage',
+        async loadAll() {
+            const entries = new Map();
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (isGameStorageKey(key)) entries.set(key, localStorage.getItem(key));
+            }
+            return entries;
+        },
+        async read(keys) {
+            return new Map(keys.map(key => [key, localStorage.getItem(key)]));
+        },
+        async commit(batch) {
+            for (const [key, value] of Object.entries(batch)) {
+                if (value === null) localStorage.removeItem(key);
+                else localStorage.setItem(key, value);
+            }
+        }
+    };
+}
+
+/**
+ * One-time move of pre-IndexedDB saves out of localStorage.
+ * localStorage is only cleared after IndexedDB has committed the copy.
+ */
+async function migrateFromLocalStorage(backend, entries) {
+    const legacy = await createLocalStorageBackend().loadAll();
+    if (legacy.size === 0) return;
+
+    const batch = {};
+    legacy.forEach((value, key) => {
+        if (!entries.has(key)) {
+            batch[key] = value;
+            entries.set(key, value);
+        }
+    });
+    await backend.commit(batch);
+    legacy.forEach((value, key) => localStorage.removeItem(key));
+}
+
+// --- 2. STORE ---
+
+/**
+ * Opens the game's storage. Same shape as localStorage (getItem/setItem/removeItem)
+ * plus flush(), which resolves once every queued write is on disk.
+ * Other tabs write to the same place: onCommit() reports this tab's landed
+ * writes so they can be announced, and refresh() re-reads keys another tab changed.
+ * guardCommits() vetoes keys at commit time and discard() drops queued writes,
+ * for a tab that has lost the right to write them.
+ * setItem also takes a function returning the string; it is only called when
+ * the value is read or written, so repeated saves serialise once per batch.
+ */
+async function openGameStorage() {
+    let backend;
+    let entries;
+    try {
+        backend = await createIndexedDbBackend();
+        entries = await backend.loadAll();
+        await migrateFromLocalStorage(backend, entries);
+    } catch (e) {
+        console.warn("IndexedDB unavailable, saving to localStorage instead.", e);
+        backend = createLocalStorageBackend();
+        entries = await backend.loadAll();
+    }
+
+    let pending = {};
+    let flushTimer = null;
+    let firstPendingAt = 0;
+    let inFlight = Promise.resolve();
+    let commitGuard = null;
+    const commitListeners = [];
+
+    // Turns a lazy value into its string, remembering the result
+    function resolve(key) {
+        const value = entries.get(key);
+        if (typeof value !== 'function') return value === undefined ? null : value;
+        const text = value();
+        entries.set(key, text);
+        return text;
+    }
+
+    function scheduleFlush() {
+        const now = Date.now();
+        if (!firstPendingAt) firstPendingAt = now;
+        clearTimeout(flushTimer);
+        const wait = Math.min(STORAGE_FLUSH_DELAY_MS, Math.max(0, firstPendingAt + STORAGE_MAX_WAIT_MS - now));
+        flushTimer = setTimeout(flush, wait);
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        firstPendingAt = 0;
+
+        const batch = {};
+        for (const [key, value] of Object.entries(pending)) {
+            // Checked here, not in the commit chain, so it runs before pagehide handlers after ours
+            if (commitGuard && !commitGuard(key)) continue;
+            batch[key] = typeof value === 'function' ? resolve(key) : value;
+        }
+        pending = {};
+        if (Object.keys(batch).length === 0) return inFlight;
+
+        // Commits run one after another so an older batch can't land last
+        inFlight = inFlight
+            .then(() => backend.commit(batch))
+            .then(() => commitListeners.forEach(listener => listener(Object.keys(batch))))
+            .catch(e => console.error("Saving failed.", e));
+        return inFlight;
+    }
+
+    // Last chance to write before the tab goes away
+    if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flush(); });
+        window.addEventListener('pagehide', flush);
+    }
+
+    return {
+        kind: backend.kind,
+        getItem(key) {
+            return entries.has(key) ? resolve(key) : null;
+        },
+        setItem(key, value) {
+            entries.set(key, value);
+            pending[key] = value;
+            scheduleFlush();
+        },
+        removeItem(key) {
+            entries.delete(key);
+            pending[key] = null;
+            scheduleFlush();
+        },
+        flush,
+        onCommit(listener) {
+            commitListeners.push(listener);
+        },
+        /**
+         * guard(key) runs as each queued write is committed; false drops the write.
+         */
+        guardCommits(guard) {
+            commitGuard = guard;
+        },
+        /**
+         * Drops queued writes to these keys and re-reads their committed values.
+         */
+        discard(keys) {
+            keys.forEach(key => delete pending[key]);
+            return this.refresh(keys);
+        },
+        /**
+         * Replaces the cached values of keys written by another tab.
+         * Keys with a write still queued here keep the local value.
+         */
+        async refresh(keys) {
+            const values = await backend.read(keys.filter(key => !(key in pending)));
+            values.forEach((value, key) => {
+                if (value === null) entries.delete(key);
+                else entries.set(key, value);
+            });
+        }
+    };
+}
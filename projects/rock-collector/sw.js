@@ -0,0 +1,148 @@
+/*
+================================================================================
+SERVICE WORKER (sw.js)
+Offline play: precaches the game, its data files and art.
+The cache is named after a checksum of cards/packs/regions.json, so new
+game data gets a fresh cache and the stale one is dropped.
+================================================================================
+*/
+
+importScripts('engine.js', 'save.js'); // for checksum()
+
+const CACHE_PREFIX = 'rock-collector-';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'engine.js',
+    'save.js',
+    'storage.js',
+    'tabs.js',
+    'script.js',
+    'manifest.webmanifest'
+];
+
+const DATA_FILES = ['cards.json', 'packs.json', 'regions.json'];
+
+const UI_IMAGES = [
+    'images/ui/game-title.png',
+    'images/ui/nav-archive.png',
+    'images/ui/nav-museum.png',
+    'images/ui/nav-packs.png',
+    'images/ui/nav-expeditions.png',
+    'images/ui/nav-devtools.png'
+];
+
+let currentVersion = null;
+let rebuilding = null;
+
+// --- 1. CACHE BUILDING ---
+
+function cacheName(version) {
+    return `${CACHE_PREFIX}${version}`;
+}
+
+/**
+ * Same hash the page computes in loadMasterData(), so the two can be compared.
+ */
+function dataVersion(texts) {
+    return checksum(texts.join('\n'));
+}
+
+/**
+ * Downloads everything into a cache named after the current data files.
+ * Missing art is skipped; only the shell and data files are required.
+ */
+async function buildCache() {
+    const responses = await Promise.all(DATA_FILES.map(file => fetch(file, { cache: 'no-store' })));
+    if (responses.some(r => !r.ok)) throw new Error("Data files unavailable.");
+
+    const texts = await Promise.all(responses.map(r => r.clone().text()));
+    const version = dataVersion(texts);
+    const cache = await caches.open(cacheName(version));
+
+    await Promise.all(DATA_FILES.map((file, i) => cache.put(file, responses[i])));
+    await cache.addAll(APP_SHELL);
+
+    const packs = JSON.parse(texts[1]);
+    const cards = JSON.parse(texts[0]);
+    const art = [
+        ...UI_IMAGES,
+        ...Object.keys(packs).map(type => `images/ui/pack-${type}.png`),
+        ...Object.keys(cards).map(id => `images/cards/${id}.png`)
+    ];
+    await Promise.all(art.map(url => cache.add(url).catch(() => null)));
+
+    currentVersion = version;
+    return version;
+}
+
+async function dropOtherCaches(keepVersion) {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== cacheName(keepVersion))
+        .map(name => caches.delete(name)));
+}
+
+async function findCurrentVersion() {
+    if (currentVersion) return currentVersion;
+    const names = (await caches.keys()).filter(name => name.startsWith(CACHE_PREFIX));
+    currentVersion = names.length > 0 ? names[names.length - 1].slice(CACHE_PREFIX.length) : null;
+    return currentVersion;
+}
+
+// --- 2. LIFECYCLE ---
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(buildCache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(findCurrentVersion()
+        .then(version => version && dropOtherCaches(version))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * The page reports the checksum of the data it just loaded.
+ * A mismatch means the data files changed: rebuild, then drop the old cache.
+ */
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'data-version') return;
+
+    event.waitUntil(findCurrentVersion().then(version => {
+        if (version === event.data.version || rebuilding) return rebuilding;
+        rebuilding = buildCache()
+            .then(newVersion => dropOtherCaches(newVersion))
+            .catch(e => console.warn("Cache refresh failed; keeping the old one.", e))
+            .finally(() => { rebuilding = null; });
+        return rebuilding;
+    }));
+});
+
+// --- 3. FETCH STRATEGY ---
+// Shell and data: network first, so online players always get the latest.
+// Images: cache first, they never change under the same name.
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/images/')) {
+        event.respondWith(caches.match(request).then(hit => hit || fetch(request)));
+        return;
+    }
+
+    event.respondWith(fetch(request)
+        .then(async response => {
+            const version = await findCurrentVersion();
+            if (response.ok && version) {
+                const copy = response.clone();
+                caches.open(cacheName(version)).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })));
+});
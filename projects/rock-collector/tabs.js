@@ -0,0 +1,165 @@
+/*
+================================================================================
+TAB COORDINATION (tabs.js)
+Only one tab per profile may change the save. That tab is elected with the
+Web Locks API (or a localStorage lease where locks are missing); every other
+tab is a read-only mirror that reloads the save whenever the writer commits.
+Loaded after storage.js.
+================================================================================
+*/
+
+const TAB_LEASE_MS = 5000;          // fallback lease lifetime
+const TAB_HEARTBEAT_MS = 2000;      // fallback lease renewal / takeover check
+const TAB_CLAIM_SETTLE_MS = 150;    // wait before re-reading a freshly claimed lease
+
+const TAB_ID = `${Date.now().toString(36)}-${Math.floor(Math.random() * 1e9).toString(36)}`;
+
+// --- 1. MESSAGING ---
+
+/**
+ * BroadcastChannel where available, `storage` events otherwise.
+ * @returns {{post: Function, close: Function}}
+ */
+function openTabChannel(name, onMessage) {
+    if (typeof BroadcastChannel !== 'undefined') {
+        const channel = new BroadcastChannel(name);
+        channel.onmessage = (event) => onMessage(event.data);
+        return { post: (msg) => channel.postMessage(msg), close: () => channel.close() };
+    }
+
+    const key = `rockTabMessage:${name}`;
+    const listener = (event) => {
+        if (event.key === key && event.newValue) onMessage(JSON.parse(event.newValue).msg);
+    };
+    window.addEventListener('storage', listener);
+    return {
+        // The nonce makes repeated identical messages still fire a storage event
+        post: (msg) => localStorage.setItem(key, JSON.stringify({ msg, nonce: Math.random() })),
+        close: () => window.removeEventListener('storage', listener)
+    };
+}
+
+// --- 2. WRITER ELECTION ---
+
+/**
+ * Waits for the writer role using Web Locks. The lock is held until the tab closes,
+ * at which point the browser hands it to the next waiting tab.
+ */
+function electWithLocks(lockName, onStatus) {
+    let held = false;
+    navigator.locks.request(lockName, { ifAvailable: true }, (lock) => {
+        if (lock) {
+            held = true;
+            onStatus(true);
+            return new Promise(() => {}); // hold forever
+        }
+        onStatus(false);
+        return navigator.locks.request(lockName, () => {
+            held = true;
+            onStatus(true);
+            return new Promise(() => {});
+        });
+    });
+    // The browser never takes a granted lock back
+    return { confirm: () => held };
+}
+
+/**
+ * Fallback: a lease in localStorage renewed by the writer's heartbeat.
+ * A mirror takes over once the lease has expired (writer tab closed or frozen).
+ * localStorage has no compare-and-set, so two tabs can claim a free lease at once;
+ * the last write wins, and each claimant re-reads the lease before acting as writer.
+ */
+function electWithLease(lockName, onStatus) {
+    const key = `rockWriterLease:${lockName}`;
+    let isWriter = null;
+
+    function readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writeLease() {
+        localStorage.setItem(key, JSON.stringify({ tabId: TAB_ID, expires: Date.now() + TAB_LEASE_MS }));
+    }
+
+    function setRole(writer) {
+        if (isWriter === writer) return;
+        isWriter = writer;
+        onStatus(writer);
+    }
+
+    function check() {
+        const lease = readLease();
+        const ours = lease && lease.tabId === TAB_ID;
+        if (lease && !ours && lease.expires >= Date.now()) {
+            setRole(false);
+            return;
+        }
+        writeLease();
+        if (isWriter && ours) return; // plain renewal
+
+        // Claiming: only become writer if no other tab overwrote our claim meanwhile
+        setTimeout(() => {
+            const claimed = readLease();
+            setRole(Boolean(claimed && claimed.tabId === TAB_ID));
+        }, TAB_CLAIM_SETTLE_MS);
+    }
+
+    /**
+     * Called right before the save is committed, since the heartbeat may be
+     * throttled in a background tab. Another tab's lease, even an expired one,
+     * means it may have written since: step down rather than overwrite it.
+     */
+    function confirm() {
+        if (!isWriter) return false;
+        const lease = readLease();
+        if (lease && lease.tabId === TAB_ID) {
+            writeLease();
+            return true;
+        }
+        setRole(false);
+        return false;
+    }
+
+    window.addEventListener('pagehide', () => {
+        const lease = readLease();
+        if (lease && lease.tabId === TAB_ID) localStorage.removeItem(key);
+    });
+    check();
+    setInterval(check, TAB_HEARTBEAT_MS);
+    return { confirm };
+}
+
+/**
+ * Elects the one tab allowed to write a profile's save.
+ * @param {string} profileId
+ * @param {Function} onRoleChange - (isWriter: boolean) on election, then on promotion or demotion
+ * @returns {{confirm: Function}} confirm() is true while this tab still holds the role
+ */
+function electWriter(profileId, onRoleChange) {
+    const lockName = `rock-collector-writer:${profileId}`;
+    if (typeof navigator !== 'undefined' && navigator.locks) return electWithLocks(lockName, onRoleChange);
+    return electWithLease(lockName, onRoleChange);
+}
+
+// --- 3. SAVE ANNOUNCEMENTS ---
+
+/**
+ * Tells other tabs which storage keys this tab just committed, and hears theirs.
+ * @param {Function} onRemoteCommit - (keys: string[]) committed by another tab
+ * @returns {{announce: Function}} Call announce(keys) once a write batch is on disk
+ */
+function openSaveChannel(onRemoteCommit) {
+    const channel = openTabChannel('rock-collector-saves', (msg) => {
+        if (msg && msg.type === 'committed' && msg.from !== TAB_ID) onRemoteCommit(msg.keys);
+    });
+    return {
+        announce(keys) {
+            channel.post({ type: 'committed', from: TAB_ID, keys });
+        }
+    };
+}
@@ -0,0 +1,100 @@
+/*
+================================================================================
+ENGINE CHECKS (tests/engine.test.js)
+Headless rule checks against the real master data.
+Run from projects/rock-collector with: node --test tests/
+================================================================================
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createGameEngine, createDefaultState, validateMasterData } = require('../engine.js');
+const { validateSave } = require('../save.js');
+
+function loadMasterData() {
+    const read = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+    return { cards: read('cards.json'), packs: read('packs.json'), regions: read('regions.json') };
+}
+
+/**
+ * A fresh engine holding `count` normal copies of rock-001 (common, 1 point each).
+ */
+function createEngineWithCopies(count) {
+    const engine = createGameEngine(loadMasterData(), createDefaultState(1), { now: () => 0 });
+    const copies = Array.from({ length: count }, () => ({ cardId: 'rock-001', art: 0, foil: 'normal' }));
+    engine.addCards(copies);
+    return engine;
+}
+
+function getRow(engine) {
+    return engine.state.inventory.cards.find(c => c.cardId === 'rock-001');
+}
+
+// --- 1. CONVERSION ---
+
+test('convert adds up rows for the same variant before checking duplicates', () => {
+    const engine = createEngineWithCopies(11);
+    const sel = { cardId: 'rock-001', art: 0, foil: 'normal', count: 10 };
+
+    const result = engine.convert([sel, { ...sel }]);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(getRow(engine).count, 11);
+    assert.deepStrictEqual(validateSave(engine.state), []);
+});
+
+test('convert accepts split rows that together leave one copy', () => {
+    const engine = createEngineWithCopies(11);
+    const sel = { cardId: 'rock-001', art: 0, foil: 'normal', count: 5 };
+
+    const result = engine.convert([sel, { ...sel }]);
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.packType, 'basic');
+    assert.strictEqual(getRow(engine).count, 1);
+    assert.strictEqual(getRow(engine).acquired.length, 1);
+    assert.deepStrictEqual(validateSave(engine.state), []);
+});
+
+test('convert rejects zero, negative and fractional counts', () => {
+    const engine = createEngineWithCopies(11);
+    const sel = { cardId: 'rock-001', art: 0, foil: 'normal', count: 10 };
+
+    [0, -1, 1.5, '10'].forEach(count => {
+        const result = engine.convert([sel, { ...sel, count }]);
+        assert.strictEqual(result.ok, false, `count ${count} should be refused`);
+    });
+    assert.strictEqual(getRow(engine).count, 11);
+    assert.strictEqual(engine.state.player.packsInventory.basic, 5);
+});
+
+// --- 2. ACQUISITION HISTORY ---
+
+test('cards from an expedition pack record the expedition as the pack origin', () => {
+    let time = 0;
+    const state = createDefaultState(1);
+    const engine = createGameEngine(loadMasterData(), state, { now: () => time });
+
+    engine.startExpedition(0);
+    time += 7 * 24 * 60 * 60 * 1000;
+    engine.tick();
+    const { rewards } = engine.claim(0);
+    engine.addPacks(rewards.packType, 1); // no origin, like a pack from before origins were kept
+
+    // Packs without an origin open first, so the expedition's pack is the last one
+    const held = state.player.packsInventory[rewards.packType];
+    assert.deepStrictEqual(state.player.packOrigins[rewards.packType], [{ origin: 'expedition', count: rewards.count }]);
+    const opened = engine.openPacks(rewards.packType);
+    assert.strictEqual(opened.count, held);
+    assert.strictEqual(state.player.packOrigins[rewards.packType], undefined);
+
+    const records = state.inventory.cards.flatMap(c => c.acquired).filter(a => a.packType === rewards.packType);
+    assert.strictEqual(records.filter(a => a.origin === 'expedition').length, opened.packs.slice(-rewards.count).flat().length);
+    assert.deepStrictEqual(validateSave(state), []);
+});
+
+// --- 3. MASTER DATA ---
+
+test('shipped master data passes validation', () => {
+    assert.deepStrictEqual(validateMasterData(loadMasterData()), []);
+});
@@ -0,0 +1,64 @@
+/*
+================================================================================
+SAVE CHECKS (tests/save.test.js)
+Save codes and validation, headless.
+Run from projects/rock-collector with: node --test tests/
+================================================================================
+*/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createGameEngine, createDefaultState } = require('../engine.js');
+const { parseSave, encodeSaveCode, decodeSaveCode } = require('../save.js');
+
+function loadMasterData() {
+    const read = (file) => JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+    return { cards: read('cards.json'), packs: read('packs.json'), regions: read('regions.json') };
+}
+
+/**
+ * A save with a pull log, acquisition records and pack origins in it.
+ */
+function createPlayedState() {
+    let time = 1700000000000;
+    const engine = createGameEngine(loadMasterData(), createDefaultState(7), { now: () => (time += 60000) });
+    engine.addPacks('basic', 3, 'fishing');
+    engine.openPacks('basic', 6);
+    return engine.state;
+}
+
+// --- 1. SAVE CODES ---
+
+test('save codes carry the whole save, pull log included', async () => {
+    const state = createPlayedState();
+    const code = await encodeSaveCode(state);
+    assert.ok(code.startsWith('ROCKZ'));
+
+    const decoded = await decodeSaveCode(code);
+    assert.strictEqual(decoded.ok, true);
+    const parsed = parseSave(decoded.raw, loadMasterData());
+    assert.strictEqual(parsed.ok, true, parsed.details && parsed.details.join('\n'));
+    assert.deepStrictEqual(parsed.state, JSON.parse(JSON.stringify(state)));
+});
+
+test('without CompressionStream, codes fall back to the plain ROCK form', async () => {
+    const state = createPlayedState();
+    const original = globalThis.CompressionStream;
+    delete globalThis.CompressionStream;
+    try {
+        const code = await encodeSaveCode(state);
+        assert.ok(code.startsWith(`ROCK${state.schemaVersion}.`));
+        const decoded = await decodeSaveCode(code);
+        assert.deepStrictEqual(JSON.parse(decoded.raw), JSON.parse(JSON.stringify(state)));
+    } finally {
+        globalThis.CompressionStream = original;
+    }
+});
+
+test('a mistyped save code is refused', async () => {
+    const code = await encodeSaveCode(createPlayedState());
+    const decoded = await decodeSaveCode(code.slice(0, 20) + 'x' + code.slice(21));
+    assert.strictEqual(decoded.ok, false);
+});